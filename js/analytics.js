@@ -0,0 +1,242 @@
+const CONSENT_KEY = 'tidig_analytics_consent';
+
+/**
+ * Interaction analytics: which parts of the showcase visitors look at.
+ *
+ * Events are only kept once the visitor has agreed to it, see ConsentGate. They carry the name of the
+ * event, a few plain properties (e.g. the slug of a card) and the time, never anything that identifies the visitor.
+ * Events are collected in batches and handed to a sink, which decides where they end up.
+ */
+export class Analytics {
+    /**
+     * @param {Object} sink - Where the batches go, any object with a send(events) method, see ConsoleSink, BeaconSink and StorageSink.
+     * @param {ConsentGate} consent - Events are dropped unless consent is granted.
+     * @param {Object} options - Optional batching, {batch_size, flush_interval}.
+     * A batch is sent when it holds 'batch_size' events, or after 'flush_interval' milliseconds.
+     */
+    constructor(sink, consent, options = {}) {
+        this.sink           = sink;
+        this.consent        = consent;
+        this.batch_size     = options.batch_size ?? 10;
+        this.flush_interval = options.flush_interval ?? 10000;
+        this.queue          = []; // Events waiting to be sent
+        this.timer          = null; // Pending flush, see track()
+        this.listeners      = new AbortController();
+
+        // Send what's left before the page goes away, there may be no later chance
+        window.addEventListener('pagehide', () => this.flush(), { signal: this.listeners.signal });
+
+        // Withdrawn consent also covers the events not sent yet
+        this.stopFollowingConsent = consent.onChange(granted => {
+            if (!granted) {
+                this.queue = [];
+            }
+        });
+    }
+
+    /**
+     * Records an event, dropped if there is no consent.
+     *
+     * @param {string} name - Name of the event, e.g. 'card_focus'.
+     * @param {Object} props - Plain properties of the event, e.g. {card: 'projektbradan'}. No personal data.
+     */
+    track(name, props = {}) {
+        if (!this.consent.granted) {
+            return;
+        }
+
+        this.queue.push({ name, ...props, time: new Date().toISOString() });
+        if (this.queue.length >= this.batch_size) {
+            this.flush();
+        }
+
+        else if (this.timer === null) {
+            this.timer = setTimeout(() => this.flush(), this.flush_interval);
+        }
+    }
+
+    /**
+     * Sends the events collected so far.
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.queue.length) {
+            return;
+        }
+
+        const events = this.queue;
+        this.queue = [];
+        try {
+            this.sink.send(events);
+        }
+
+        catch (error) {
+            console.warn(`Analytics events could not be sent: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sends what's left and stops listening, nothing is tracked afterwards.
+     */
+    dispose() {
+        this.flush();
+        this.listeners.abort();
+        this.stopFollowingConsent();
+        this.consent = { granted: false };
+    }
+}
+
+/**
+ * Sink logging the batches to the console, for development.
+ */
+export class ConsoleSink {
+    send(events) {
+        console.info('Analytics:', events);
+    }
+}
+
+/**
+ * Sink posting the batches as JSON to an endpoint with navigator.sendBeacon(), also works while the page unloads.
+ */
+export class BeaconSink {
+    /**
+     * @param {string} url - Endpoint receiving the batches, {events: [...]}.
+     */
+    constructor(url) {
+        this.url = url;
+    }
+
+    send(events) {
+        const body = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+        if (!navigator.sendBeacon(this.url, body)) {
+            throw new Error(`'${this.url}' did not accept the beacon`);
+        }
+    }
+}
+
+/**
+ * Sink keeping the batches in localStorage, e.g. for a kiosk without network. Only the latest events are kept.
+ */
+export class StorageSink {
+    /**
+     * @param {string} key - Storage key of the event list.
+     * @param {number} max_events - Older events are dropped beyond this number.
+     */
+    constructor(key = 'tidig_analytics', max_events = 500) {
+        this.key = key;
+        this.max_events = max_events;
+    }
+
+    send(events) {
+        const stored = this.read();
+        localStorage.setItem(this.key, JSON.stringify([...stored, ...events].slice(-this.max_events)));
+    }
+
+    /**
+     * @returns Array of the stored events, oldest first.
+     */
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key)) ?? [];
+        }
+
+        catch (error) {
+            return []; // Blocked or malformed storage
+        }
+    }
+}
+
+/**
+ * Creates a sink from a setting.
+ *
+ * @param {Object} settings - {sink: 'console' | 'beacon' | 'storage', url}, 'url' is required for 'beacon'.
+ * @returns ConsoleSink, BeaconSink or StorageSink.
+ */
+export function createSink(settings) {
+    switch (settings.sink) {
+        case 'beacon':
+            if (typeof settings.url !== 'string') {
+                throw new Error(`Analytics sink 'beacon' needs a 'url'`);
+            }
+
+            return new BeaconSink(settings.url);
+
+        case 'storage':
+            return new StorageSink();
+
+        case 'console':
+            return new ConsoleSink();
+
+        default:
+            throw new Error(`Unknown analytics sink '${settings.sink}'`);
+    }
+}
+
+/**
+ * Class holding the choice of the visitor about analytics, remembered for later visits.
+ * Until a choice is made, consent is not granted.
+ */
+export class ConsentGate {
+    constructor() {
+        this.choice    = readStored(); // 'true'/'false' once chosen, else 'null'
+        this.listeners = [];
+    }
+
+    /**
+     * @returns 'true' if events may be recorded.
+     */
+    get granted() {
+        return this.choice === true;
+    }
+
+    /**
+     * @returns 'true' once the visitor has made a choice, either way.
+     */
+    get decided() {
+        return this.choice !== null;
+    }
+
+    /**
+     * Stores the choice of the visitor.
+     *
+     * @param {boolean} granted - Set to 'true' to allow analytics.
+     */
+    setGranted(granted) {
+        this.choice = granted;
+        try {
+            localStorage.setItem(CONSENT_KEY, String(granted));
+        }
+
+        catch (error) {
+            // Storage blocked, the choice only lasts for this visit
+        }
+
+        this.listeners.forEach(callback => callback(granted));
+    }
+
+    /**
+     * @param {Function} callback - Called with the new value whenever the choice changes.
+     * @returns Function that stops calling the callback.
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+}
+
+/**
+ * @returns The stored choice of the visitor, 'null' if there is none.
+ */
+function readStored() {
+    try {
+        const stored = localStorage.getItem(CONSENT_KEY);
+        return stored === null ? null : stored === 'true';
+    }
+
+    catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+/**
+ * Class sharing textures and materials between the objects of a scene, each is only loaded or created once.
+ * Textures are counted per user, the last release() frees it.
+ */
+export class AssetCache {
+    constructor() {
+        this.loader    = new THREE.TextureLoader();
+        this.textures  = new Map(); // Path -> {texture, users}
+        this.materials = new Map(); // Key -> material
+    }
+
+    /**
+     * Loads a texture, or hands out the one already loaded from the same path.
+     * 
+     * @param {string} path - Path to the image.
+     * @returns THREE.Texture, give it back with release() once done with it.
+     */
+    texture(path) {
+        let entry = this.textures.get(path);
+        if (entry === undefined) {
+            entry = { texture: this.loader.load(path), users: 0 };
+            this.textures.set(path, entry);
+        }
+
+        entry.users++;
+        return entry.texture;
+    }
+
+    /**
+     * Gives back a texture from texture(), it is freed once nobody uses it.
+     * 
+     * @param {THREE.Texture} texture - The texture.
+     */
+    release(texture) {
+        for (const [path, entry] of this.textures) {
+            if (entry.texture === texture) {
+                entry.users--;
+                if (entry.users <= 0) {
+                    texture.dispose();
+                    this.textures.delete(path);
+                }
+
+                return;
+            }
+        }
+    }
+
+    /**
+     * Hands out a shared material, it is created on first use.
+     * 
+     * @param {string} key - Name of the material, includes whatever sets it apart, e.g. its color.
+     * @param {Function} create - Returns a new material, only called if there is none for the key.
+     * @returns THREE.Material, freed by dispose().
+     */
+    material(key, create) {
+        if (!this.materials.has(key)) {
+            this.materials.set(key, create());
+        }
+
+        return this.materials.get(key);
+    }
+
+    /**
+     * Frees every texture and material, no matter who still uses them.
+     */
+    dispose() {
+        this.textures.forEach(entry => entry.texture.dispose());
+        this.materials.forEach(material => material.dispose());
+        this.textures.clear();
+        this.materials.clear();
+    }
+}
+
+/**
+ * Frees the geometries, materials and textures of an object and everything below it.
+ * Only for objects that share nothing with the rest of the scene, e.g. a loaded model or a scene being torn down.
+ * 
+ * @param {THREE.Object3D} root - Top of the hierarchy.
+ */
+export function disposeObject(root) {
+    root.traverse(object => {
+        object.geometry?.dispose();
+        [object.material ?? []].flat().forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value?.isTexture) {
+                    value.dispose();
+                }
+            });
+            material.dispose();
+        });
+    });
+}
@@ -0,0 +1,132 @@
+import { localize } from './i18n.js';
+
+// Size of a card face in layout pixels, when the card has no 'width' and 'height' of its own
+const DEFAULT_WIDTH  = 450;
+const DEFAULT_HEIGHT = 600;
+
+// Layout, in layout pixels
+const PADDING       = 40;
+const ACCENT_BAR    = 14;
+const ICON_SIZE     = 64;
+const TITLE_SIZE    = 44;
+const BULLET_SIZE   = 26;
+const BULLET_INDENT = 28;
+
+/**
+ * Class drawing a card face from structured data: title, bullet list, icon and accent color.
+ * The face is drawn onto a canvas at a multiple of the layout size so text stays sharp up close.
+ */
+export class CardFace {
+    /**
+     * Create a card face, it is drawn right away and again once the font and the icon have loaded.
+     *
+     * @param {Object} card - Card data with a 'face' entry, see data/cards.json.
+     */
+    constructor(card) {
+        this.card   = card;
+        this.width  = card.width ?? DEFAULT_WIDTH;
+        this.height = card.height ?? DEFAULT_HEIGHT;
+        this.scale  = Math.min(window.devicePixelRatio || 1, 2) * 2; // Canvas pixels per layout pixel
+        this.icon   = null; // Loaded icon image, if any
+        this.onDraw = null; // Called after every draw, e.g. to update a texture
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width  = Math.round(this.width * this.scale);
+        this.canvas.height = Math.round(this.height * this.scale);
+
+        if (card.face.icon !== undefined) {
+            const icon = new Image();
+            icon.addEventListener('load', () => {
+                this.icon = icon;
+                this.draw();
+            });
+            icon.src = card.face.icon;
+        }
+
+        this.draw();
+        document.fonts?.ready.then(() => this.draw()); // The web font may not be in yet
+    }
+
+    /**
+     * Draws the face in the current language.
+     */
+    draw() {
+        const face = this.card.face;
+        const accent = face.accent ?? '#FF9B2A';
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+
+        // Background and accent bar
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.fillStyle = accent;
+        ctx.fillRect(0, 0, this.width, ACCENT_BAR);
+
+        let y = ACCENT_BAR + PADDING;
+        if (this.icon !== null) {
+            ctx.drawImage(this.icon, PADDING, y, ICON_SIZE, ICON_SIZE);
+            y += ICON_SIZE + PADDING/2;
+        }
+
+        // Title
+        ctx.fillStyle = '#192633';
+        ctx.textBaseline = 'top';
+        ctx.font = `600 ${TITLE_SIZE}px 'Work Sans', sans-serif`;
+        const title = localize(face.title ?? this.card.title);
+        wrapText(ctx, title, this.width - 2*PADDING).forEach(line => {
+            ctx.fillText(line, PADDING, y);
+            y += TITLE_SIZE * 1.2;
+        });
+
+        // Bullets
+        y += PADDING/2;
+        ctx.font = `${BULLET_SIZE}px 'Work Sans', sans-serif`;
+        (face.bullets ?? []).forEach(bullet => {
+            ctx.fillStyle = accent;
+            ctx.beginPath();
+            ctx.arc(PADDING + 6, y + BULLET_SIZE/2, 6, 0, 2*Math.PI);
+            ctx.fill();
+
+            ctx.fillStyle = '#192633';
+            wrapText(ctx, localize(bullet), this.width - 2*PADDING - BULLET_INDENT).forEach(line => {
+                ctx.fillText(line, PADDING + BULLET_INDENT, y);
+                y += BULLET_SIZE * 1.3;
+            });
+
+            y += BULLET_SIZE/2;
+        });
+
+        this.onDraw?.();
+    }
+}
+
+/**
+ * Breaks a text into lines that fit a width with the current font of the context.
+ * Words longer than the width are kept whole on a line of their own.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context the text will be drawn with.
+ * @param {string} text - Text to break.
+ * @param {number} max_width - Width of a line.
+ * @returns Array of lines.
+ */
+function wrapText(ctx, text, max_width) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(word => word !== '').forEach(word => {
+        const candidate = line === '' ? word : `${line} ${word}`;
+        if (line !== '' && ctx.measureText(candidate).width > max_width) {
+            lines.push(line);
+            line = word;
+        }
+
+        else {
+            line = candidate;
+        }
+    });
+
+    if (line !== '') {
+        lines.push(line);
+    }
+
+    return lines;
+}
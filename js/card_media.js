@@ -0,0 +1,157 @@
+/**
+ * Moving card faces, a video or a sequence of images. Both offer the same interface:
+ * an 'element' to draw from (a <video> or a <canvas>), play(), pause(), 'playing' and dispose(),
+ * and dispatch 'play' and 'pause' events.
+ */
+
+/**
+ * Creates the moving face of a card, if it has one.
+ *
+ * @param {Object} card - Card data, see data/cards.json.
+ * @returns VideoMedia or FrameSequence, 'null' for still cards.
+ */
+export function createCardMedia(card) {
+    if (card.video !== undefined) {
+        return new VideoMedia(card.video, card.path);
+    }
+
+    if (card.frames !== undefined) {
+        return new FrameSequence(card.frames, card.fps ?? 12, card.width, card.height);
+    }
+
+    return null;
+}
+
+/**
+ * Class wrapping a muted, looping video.
+ *
+ * @extends EventTarget
+ */
+export class VideoMedia extends EventTarget {
+    /**
+     * @param {string} src - Path to the video.
+     * @param {string} poster - Path to the image shown before the video plays.
+     */
+    constructor(src, poster) {
+        super();
+        this.element = document.createElement('video');
+        this.element.muted = true; // Required for playback without a user gesture
+        this.element.loop = true;
+        this.element.playsInline = true;
+        this.element.preload = 'metadata';
+        this.element.poster = poster;
+        this.element.src = src;
+
+        this.element.addEventListener('play', () => this.dispatchEvent(new Event('play')));
+        this.element.addEventListener('pause', () => this.dispatchEvent(new Event('pause')));
+    }
+
+    /**
+     * @returns 'true' while the video plays.
+     */
+    get playing() {
+        return !this.element.paused;
+    }
+
+    play() {
+        this.element.play().catch(error => {
+            // Blocked by the browser or interrupted by pause(), the poster stays up
+            console.warn(`Video '${this.element.src}' could not be played: ${error.message}`);
+        });
+    }
+
+    pause() {
+        this.element.pause();
+    }
+
+    /**
+     * Stops the video and lets the browser drop it.
+     */
+    dispose() {
+        this.element.pause();
+        this.element.removeAttribute('src');
+        this.element.load();
+    }
+}
+
+/**
+ * Class playing a sequence of images in a loop, drawn onto a canvas.
+ *
+ * @extends EventTarget
+ */
+export class FrameSequence extends EventTarget {
+    /**
+     * @param {string[]} paths - Paths to the images, in order.
+     * @param {number} fps - Frames per second.
+     * @param {number} width - Width of the canvas.
+     * @param {number} height - Height of the canvas.
+     */
+    constructor(paths, fps, width, height) {
+        super();
+        this.element = document.createElement('canvas');
+        this.element.width = width;
+        this.element.height = height;
+        this.fps = fps;
+        this.index = 0; // Frame on display
+        this.timer = null; // Interval while playing
+        this.onDraw = null; // Called after every drawn frame, e.g. to update a texture
+
+        this.frames = paths.map((path, i) => {
+            const image = new Image();
+            if (i === 0) {
+                image.addEventListener('load', () => this._draw()); // Shown while idle
+            }
+
+            image.src = path;
+            return image;
+        });
+    }
+
+    /**
+     * @returns 'true' while the sequence plays.
+     */
+    get playing() {
+        return this.timer !== null;
+    }
+
+    play() {
+        if (this.playing) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.index = (this.index + 1) % this.frames.length;
+            this._draw();
+        }, 1000 / this.fps);
+        this.dispatchEvent(new Event('play'));
+    }
+
+    pause() {
+        if (!this.playing) {
+            return;
+        }
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.dispatchEvent(new Event('pause'));
+    }
+
+    /**
+     * Stops the sequence.
+     */
+    dispose() {
+        this.pause();
+        this.onDraw = null;
+    }
+
+    _draw() {
+        const frame = this.frames[this.index];
+        if (!frame.complete || frame.naturalWidth === 0) {
+            return; // Not loaded yet, keep the previous frame
+        }
+
+        const ctx = this.element.getContext('2d');
+        ctx.drawImage(frame, 0, 0, this.element.width, this.element.height);
+        this.onDraw?.();
+    }
+}
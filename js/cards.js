@@ -0,0 +1,249 @@
+import { slugify } from './router.js';
+import { DEFAULT_LANGUAGE, localize } from './i18n.js';
+
+/**
+ * Schema every card entry in the manifest is checked against.
+ * Each field lists its expected type, if it is required and if it must be a positive number.
+ * The 'text' type is either a string or an object of strings keyed by language, see i18n.js.
+ * A card shows either an image ('path', 'width' and 'height') or a face drawn from 'face', see validateCard().
+ * Image cards can move, the image is then the poster shown while a 'video' or the 'frames' of a sequence are idle.
+ * A 'model' card shows a glTF model instead, an image is then optional and only shown without WebGL.
+ * The 'paths' type is a non-empty array of strings.
+ * A 'widget' is shown below the content in the detail view, one of WIDGETS.
+ */
+const CARD_SCHEMA = {
+    path:    { type: 'string', required: false },
+    width:   { type: 'number', required: false, positive: true },
+    height:  { type: 'number', required: false, positive: true },
+    face:    { type: 'object', required: false },
+    model:   { type: 'string', required: false }, // Path to a glTF model (.gltf or .glb)
+    video:   { type: 'string', required: false },
+    frames:  { type: 'paths',  required: false },
+    fps:     { type: 'number', required: false, positive: true }, // Speed of 'frames', 12 if left out
+    widget:  { type: 'string', required: false },
+    title:   { type: 'text',   required: true },
+    content: { type: 'text',   required: true },
+    slug:    { type: 'string', required: false }, // Used in URLs, derived from the title if left out
+};
+
+/**
+ * Schema of the 'face' entry of a card, the face is drawn by CardFace in card_face.js.
+ * The 'list' type is an array of 'text', the 'color' type a hex color such as '#FF9B2A'.
+ */
+const FACE_SCHEMA = {
+    title:   { type: 'text',   required: false }, // The title of the card if left out
+    bullets: { type: 'list',   required: false },
+    icon:    { type: 'string', required: false }, // Path to an image drawn above the title
+    accent:  { type: 'color',  required: false },
+};
+
+/**
+ * Interactive parts a card can show in the detail view.
+ * 'pricing' is the price calculator, see pricing.js.
+ */
+const WIDGETS = ['pricing'];
+
+/**
+ * Fetches the card manifest and returns the entries that pass validation.
+ * Invalid entries are reported in the console and skipped, a missing or
+ * malformed manifest results in an empty list.
+ *
+ * @param {string} url - Path to the JSON manifest, expected format {cards: [{path, width, height, face, model, video, frames, fps, widget, title, content, slug}, ...]}.
+ * @returns Promise resolving to an array of valid card data objects.
+ */
+export async function loadCards(url) {
+    let manifest;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        manifest = await response.json();
+    }
+
+    catch (error) {
+        console.error(`Card manifest '${url}' could not be loaded: ${error.message}`);
+        return [];
+    }
+
+    if (!Array.isArray(manifest?.cards)) {
+        console.error(`Card manifest '${url}' is missing a 'cards' array.`);
+        return [];
+    }
+
+    // Validate all entries in parallel, image checks require a request each
+    const results = await Promise.all(manifest.cards.map(validateCard));
+
+    const slugs = new Set();
+    return manifest.cards.filter((card, i) => {
+        const errors = results[i];
+        if (!errors.length) {
+            card.slug = card.slug ?? slugify(localize(card.title, DEFAULT_LANGUAGE));
+            if (slugs.has(card.slug)) {
+                errors.push(`slug '${card.slug}' is already used by another card`);
+            }
+
+            slugs.add(card.slug);
+        }
+
+        if (errors.length) {
+            const name = isText(card?.title) ? ` ("${localize(card.title, DEFAULT_LANGUAGE)}")` : '';
+            console.warn(`Card manifest '${url}': skipping entry #${i}${name}, ${errors.join('; ')}.`);
+        }
+
+        return !errors.length;
+    });
+}
+
+/**
+ * Checks a single card entry against the card schema and makes sure its image can be fetched.
+ *
+ * @param {Object} card - Card entry from the manifest.
+ * @returns Promise resolving to an array of error messages, empty if the entry is valid.
+ */
+export async function validateCard(card) {
+    if (card === null || typeof card !== 'object') {
+        return ['entry is not an object'];
+    }
+
+    const errors = checkFields(card, CARD_SCHEMA);
+    if (card.face !== undefined && card.model !== undefined) {
+        errors.push(`'face' and 'model' can't be combined`);
+    }
+
+    else if (card.face === undefined && card.model === undefined) {
+        ['path', 'width', 'height'].filter(field => card[field] === undefined).forEach(field => {
+            errors.push(`'${field}' is required for image cards, or use 'face' or 'model'`);
+        });
+    }
+
+    else if (card.face !== undefined && card.path !== undefined) {
+        errors.push(`'path' and 'face' can't be combined`);
+    }
+
+    if (card.model !== undefined && (card.video !== undefined || card.frames !== undefined)) {
+        errors.push(`'video' and 'frames' need an image card, not a model`);
+    }
+
+    if (card.video !== undefined && card.frames !== undefined) {
+        errors.push(`'video' and 'frames' can't be combined`);
+    }
+
+    if (card.face !== undefined && (card.video !== undefined || card.frames !== undefined)) {
+        errors.push(`'video' and 'frames' need an image card, 'path' is the poster`);
+    }
+
+    else if (card.face !== null && typeof card.face === 'object') {
+        errors.push(...checkFields(card.face, FACE_SCHEMA, 'face.'));
+    }
+
+    if (typeof card.widget === 'string' && !WIDGETS.includes(card.widget)) {
+        errors.push(`unknown widget '${card.widget}', expected one of ${WIDGETS.map(widget => `'${widget}'`).join(', ')}`);
+    }
+
+    // Only look for the images if the paths themselves are usable
+    if (typeof card.path === 'string' && !(await fileExists(card.path))) {
+        errors.push(`image '${card.path}' not found`);
+    }
+
+    if (typeof card.face?.icon === 'string' && !(await fileExists(card.face.icon))) {
+        errors.push(`icon '${card.face.icon}' not found`);
+    }
+
+    if (typeof card.model === 'string' && !(await fileExists(card.model))) {
+        errors.push(`model '${card.model}' not found`);
+    }
+
+    if (typeof card.video === 'string' && !(await fileExists(card.video))) {
+        errors.push(`video '${card.video}' not found`);
+    }
+
+    if (Array.isArray(card.frames)) {
+        const paths = card.frames.filter(path => typeof path === 'string');
+        const found = await Promise.all(paths.map(fileExists));
+        paths.filter((path, i) => !found[i]).forEach(path => errors.push(`frame '${path}' not found`));
+    }
+
+    return errors;
+}
+
+/**
+ * Checks the fields of an object against a schema.
+ *
+ * @param {Object} obj - Object to check.
+ * @param {Object} schema - Schema to check against, see CARD_SCHEMA.
+ * @param {string} prefix - Put in front of field names in the messages, for nested objects.
+ * @returns Array of error messages, empty if the object is valid.
+ */
+function checkFields(obj, schema, prefix = '') {
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = obj[field];
+        const name = prefix + field;
+        if (value === undefined) {
+            if (rule.required) {
+                errors.push(`'${name}' is required`);
+            }
+        }
+
+        else if (rule.type === 'text' && !isText(value)) {
+            errors.push(`'${name}' must be a string or an object of strings with a '${DEFAULT_LANGUAGE}' entry`);
+        }
+
+        else if (rule.type === 'list' && !(Array.isArray(value) && value.every(isText))) {
+            errors.push(`'${name}' must be an array of strings or objects of strings`);
+        }
+
+        else if (rule.type === 'paths' && !(Array.isArray(value) && value.length && value.every(path => typeof path === 'string'))) {
+            errors.push(`'${name}' must be a non-empty array of paths`);
+        }
+
+        else if (rule.type === 'color' && !(typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value))) {
+            errors.push(`'${name}' must be a hex color, e.g. '#FF9B2A'`);
+        }
+
+        else if (rule.type === 'object' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+            errors.push(`'${name}' must be an object`);
+        }
+
+        else if (!['text', 'list', 'paths', 'color', 'object'].includes(rule.type) && typeof value !== rule.type) {
+            errors.push(`'${name}' must be a ${rule.type}`);
+        }
+
+        else if (rule.positive && !(value > 0 && Number.isFinite(value))) {
+            errors.push(`'${name}' must be a positive number`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * @param {*} value - Value to check.
+ * @returns 'true' if the value is a string or a localized value with a default language entry.
+ */
+function isText(value) {
+    if (typeof value === 'string') {
+        return true;
+    }
+
+    return value !== null && typeof value === 'object'
+        && typeof value[DEFAULT_LANGUAGE] === 'string'
+        && Object.values(value).every(text => typeof text === 'string');
+}
+
+/**
+ * @param {string} path - Path to the file.
+ * @returns Promise resolving to 'true' if the file could be reached, else 'false'.
+ */
+async function fileExists(path) {
+    try {
+        const response = await fetch(path, { method: 'HEAD' });
+        return response.ok;
+    }
+
+    catch (error) {
+        return false;
+    }
+}
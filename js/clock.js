@@ -0,0 +1,56 @@
+/**
+ * Clocks the animations of the scene run on, both give the time in milliseconds through now().
+ * The real clock follows the page, the manual clock only moves when advanced, so the scene can be
+ * driven frame by frame with the same result every time, e.g. in headless tests.
+ */
+
+/**
+ * Class giving the time since the page was loaded.
+ */
+export class RealClock {
+    /**
+     * @returns The time in milliseconds.
+     */
+    now() {
+        return performance.now();
+    }
+}
+
+/**
+ * Class giving a time that only moves when advanced.
+ */
+export class ManualClock {
+    /**
+     * @param {number} time - Time to start at, in milliseconds.
+     */
+    constructor(time = 0) {
+        this.time = time;
+    }
+
+    /**
+     * @returns The time in milliseconds.
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Moves the time forward.
+     *
+     * @param {number} ms - Milliseconds to move by, at least 0.
+     * @returns The new time.
+     */
+    advance(ms) {
+        if (!(ms >= 0)) {
+            throw new Error(`Clock can't advance by '${ms}' milliseconds.`);
+        }
+
+        this.time += ms;
+        return this.time;
+    }
+}
+
+/**
+ * Clock used when none is given.
+ */
+export const REAL_CLOCK = new RealClock();
@@ -0,0 +1,172 @@
+import { getLanguage, localize, t } from './i18n.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Class running the demo request form, a <dialog> holding a <form> with the fields
+ * 'name', 'company', 'email', 'employees', 'card' (hidden) and the honeypot 'website', see '#demo_dialog' in index.html.
+ *
+ * Requests are posted as JSON to the endpoint: {name, company, email, employees, card, language}.
+ * Any 2xx answer counts as success, everything else shows an error and keeps the entered values.
+ */
+export class DemoForm {
+    /**
+     * @param {HTMLDialogElement} dialog - Dialog holding the form.
+     * @param {string} endpoint - URL the requests are posted to.
+     */
+    constructor(dialog, endpoint) {
+        this.dialog   = dialog;
+        this.form     = dialog.querySelector('form');
+        this.status   = dialog.querySelector('.demo_status');
+        this.endpoint = endpoint;
+        this.card     = null; // Data of the card the request is about, if any
+        this.state    = 'idle'; // One of 'idle', 'sending', 'success' or 'error'
+        this.errors   = {}; // Field name -> key of the error message shown
+
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        this.form.querySelector('.demo_close').addEventListener('click', () => this.dialog.close());
+
+        // Errors clear as soon as a field is corrected
+        this.form.addEventListener('input', event => {
+            if (this.errors[event.target.name] !== undefined) {
+                this.validate();
+            }
+        });
+    }
+
+    /**
+     * Shows an empty form, or one with some fields filled in.
+     *
+     * @param {Object} card - Data of the card the visitor was viewing, 'null' for none.
+     * @param {Object} values - Values of fields keyed by name, e.g. {employees: 150} from the price calculator.
+     */
+    open(card = null, values = {}) {
+        this.form.reset();
+        this.card = card;
+        this.form.elements.card.value = card?.slug ?? '';
+        Object.entries(values).forEach(([name, value]) => {
+            this.form.elements[name].value = value;
+        });
+        this.errors = {};
+        this._setState('idle');
+        this.refresh();
+        this.dialog.showModal();
+    }
+
+    /**
+     * Checks the fields and shows a message next to each invalid one.
+     *
+     * @returns 'true' if the form can be sent.
+     */
+    validate() {
+        const fields = this.form.elements;
+        this.errors = {};
+
+        ['name', 'company', 'email', 'employees'].filter(name => fields[name].value.trim() === '').forEach(name => {
+            this.errors[name] = 'demo.errors.required';
+        });
+
+        if (this.errors.email === undefined && !EMAIL_PATTERN.test(fields.email.value.trim())) {
+            this.errors.email = 'demo.errors.email';
+        }
+
+        const employees = Number(fields.employees.value);
+        if (this.errors.employees === undefined && (!Number.isInteger(employees) || employees < 1)) {
+            this.errors.employees = 'demo.errors.employees';
+        }
+
+        this._showErrors();
+        return Object.keys(this.errors).length === 0;
+    }
+
+    /**
+     * Validates and sends the request.
+     */
+    async submit() {
+        if (this.state === 'sending') {
+            return;
+        }
+
+        if (!this.validate()) {
+            this.form.querySelector('[aria-invalid="true"]').focus();
+            return;
+        }
+
+        // Only bots fill in the honeypot, they are shown success without anything being sent
+        if (this.form.elements.website.value !== '') {
+            this._setState('success');
+            return;
+        }
+
+        const fields = this.form.elements;
+        const request = {
+            name: fields.name.value.trim(),
+            company: fields.company.value.trim(),
+            email: fields.email.value.trim(),
+            employees: Number(fields.employees.value),
+            card: fields.card.value || null,
+            language: getLanguage(),
+        };
+
+        this._setState('sending');
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request),
+            });
+
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+
+            this.form.reset();
+            this._setState('success');
+        }
+
+        catch (error) {
+            console.error(`Demo request could not be sent to '${this.endpoint}': ${error.message}`);
+            this._setState('error');
+        }
+    }
+
+    /**
+     * Updates the texts set from code to the current language, the rest is translated through 'data-i18n'.
+     */
+    refresh() {
+        const card_line = this.dialog.querySelector('.demo_card');
+        card_line.hidden = this.card === null;
+        if (this.card !== null) {
+            card_line.textContent = t('demo.card', { title: localize(this.card.title) });
+        }
+
+        this._showErrors();
+        this._setState(this.state);
+    }
+
+    _showErrors() {
+        ['name', 'company', 'email', 'employees'].forEach(name => {
+            const key = this.errors[name];
+            this.form.elements[name].setAttribute('aria-invalid', key !== undefined);
+            this.dialog.querySelector(`#demo_${name}_error`).textContent = key !== undefined ? t(key) : '';
+        });
+    }
+
+    /**
+     * Shows the state of the request in the status line and the buttons.
+     *
+     * @param {string} state - One of 'idle', 'sending', 'success' or 'error'.
+     */
+    _setState(state) {
+        this.state = state;
+        this.form.classList.toggle('sent', state === 'success'); // Hides the fields, see main.css
+        this.form.querySelector('[type="submit"]').disabled = state === 'sending';
+        this.form.querySelector('.demo_close').textContent = t(state === 'success' ? 'demo.close' : 'demo.cancel');
+        this.status.textContent = state === 'idle' ? '' : t(`demo.${state}`);
+        this.status.dataset.state = state;
+    }
+}
@@ -0,0 +1,257 @@
+import { EventDispatcher } from 'three';
+import { localize } from './i18n.js';
+import { CardFace } from './card_face.js';
+import { createCardMedia } from './card_media.js';
+
+/**
+ * Class representing a flat HTML/CSS carousel of cards, stands in for the orbit when WebGL is unavailable.
+ * Offers the parts of the Orbit interface used by the menu and the detail view, so those work the same.
+ * Dispatches the same events as Orbit, with the items as 'entity', focus settles right away.
+ * 
+ * @extends THREE.EventDispatcher
+ */
+export class CardCarousel extends EventDispatcher {
+    /**
+     * Create a carousel.
+     *
+     * @param {HTMLElement} container - Element the cards are placed in.
+     */
+    constructor(container) {
+        super();
+        this.container      = container;
+        this.focused        = null; // Holds the focused item, {id, data, element, face, media}
+        this.items          = []; // In the order they are shown
+        this.next_id        = 1;
+        this.onSelect       = null; // Called with the id of a card when it is clicked
+        this.show_highlight = true;
+
+        this.container.hidden = false;
+        this.container.classList.add('highlight');
+    }
+
+    /**
+     * Adds a card to the end of the carousel.
+     *
+     * @param {Object} data - Card data, see data/cards.json.
+     * @returns The new item, {id, data, element, face, media}.
+     */
+    add(data) {
+        return this.insertAt(this.items.length, data);
+    }
+
+    /**
+     * Inserts a card into the carousel.
+     *
+     * @param {number} index - Position of the new card, clamped to the number of cards.
+     * @param {Object} data - Card data, see data/cards.json. Gets the id of the new item, like the cards of the orbit.
+     * @returns The new item, {id, data, element, face, media}.
+     */
+    insertAt(index, data) {
+        index = Math.min(Math.max(index, 0), this.items.length);
+        const element = document.createElement('figure');
+        element.className = 'carousel_card';
+
+        // Structured cards get their face drawn, see card_face.js, moving cards show their media (card_media.js)
+        const face = data.face !== undefined ? new CardFace(data) : null;
+        const media = createCardMedia(data);
+        if (face !== null) {
+            face.canvas.setAttribute('role', 'img');
+            element.append(face.canvas);
+        }
+
+        else if (media !== null) {
+            media.element.setAttribute('role', 'img');
+            media.element.width = data.width;
+            media.element.height = data.height;
+            element.append(media.element);
+        }
+
+        else if (data.path === undefined) {
+            // Model card without a poster, the title stands in for the model
+            const placeholder = document.createElement('div');
+            placeholder.className = 'carousel_placeholder';
+            placeholder.setAttribute('role', 'img');
+            element.append(placeholder);
+        }
+
+        else {
+            const img = document.createElement('img');
+            img.src = data.path;
+            if (data.width !== undefined && data.height !== undefined) {
+                img.width = data.width; // Optional for the poster of a model card
+                img.height = data.height;
+            }
+            element.append(img);
+        }
+
+        const item = { id: this.next_id++, data, element, face, media };
+        data.id = item.id;
+        element.dataset.id = item.id;
+        element.addEventListener('click', () => {
+            this.onSelect?.(item.id);
+        });
+
+        this.container.insertBefore(element, this.items[index]?.element ?? null);
+        this.items.splice(index, 0, item);
+        this.refresh();
+
+        this.dispatchEvent({ type: 'orderchange' });
+        return item;
+    }
+
+    /**
+     * Removes a card from the carousel, a focused card loses focus.
+     *
+     * @param {Number} id - The item to remove.
+     * @returns The removed item, or 'null' if it was not found.
+     */
+    remove(id) {
+        const item = this.items.find(item => item.id === id);
+        if (item === undefined) {
+            return null;
+        }
+
+        if (item === this.focused) {
+            item.element.classList.remove('focused');
+            this.dispatchEvent({ type: 'unfocus', entity: item });
+            this.focused = null;
+        }
+
+        item.media?.dispose();
+        item.element.remove();
+        this.items.splice(this.items.indexOf(item), 1);
+
+        this.dispatchEvent({ type: 'orderchange' });
+        return item;
+    }
+
+    /**
+     * Shows the cards in a new order.
+     *
+     * @param {Number[]} ids - Every item id of the carousel, once, in the new order.
+     */
+    reorder(ids) {
+        const items = ids.map(id => this.items.find(item => item.id === id));
+        if (items.length !== this.items.length || items.includes(undefined) || new Set(items).size !== items.length) {
+            throw new Error(`Carousel order must list every item id once, got [${ids.join(', ')}].`);
+        }
+
+        this.items = items;
+        this.container.append(...items.map(item => item.element)); // Moves the existing elements
+
+        this.dispatchEvent({ type: 'orderchange' });
+    }
+
+    /**
+     * Get all item id's, same order as the cards are shown in.
+     *
+     * @returns Array of ids.
+     */
+    getOrder() {
+        return this.items.map(item => item.id);
+    }
+
+    /**
+     * Set an item as the new focused item and scrolls it into view.
+     *
+     * @param {Number} id - The item to focus, if 'null' nothing will be focused.
+     * @returns Promise resolving to 'true' if an item was focused.
+     */
+    setFocus(id) {
+        if (this.focused?.id === id) {
+            return Promise.resolve(true);
+        }
+
+        if (this.focused !== null) {
+            this.focused.element.classList.remove('focused');
+            this.focused.media?.pause();
+            this.dispatchEvent({ type: 'unfocus', entity: this.focused });
+        }
+
+        this.focused = this.items.find(item => item.id === id) ?? null;
+        if (this.focused === null) {
+            return Promise.resolve(false);
+        }
+
+        if (!this.container.classList.contains('reduced_motion')) {
+            this.focused.media?.play();
+        }
+
+        this.dispatchEvent({ type: 'focusstart', entity: this.focused });
+        this.focused.element.classList.add('focused');
+        this.focused.element.scrollIntoView({
+            behavior: this.container.classList.contains('reduced_motion') ? 'auto' : 'smooth',
+            block: 'nearest',
+            inline: 'center'
+        });
+        this.dispatchEvent({ type: 'focusend', entity: this.focused });
+
+        return Promise.resolve(true);
+    }
+
+    /**
+     * Shows or hides the highlight of the focused item.
+     *
+     * @param {boolean} visible - Set to 'false' to remove the highlight.
+     */
+    setHighlightVisible(visible) {
+        this.show_highlight = visible;
+        this.container.classList.toggle('highlight', visible);
+
+        if (this.focused !== null) {
+            this.dispatchEvent({ type: 'highlight', entity: this.focused, visible });
+        }
+    }
+
+    /**
+     * Turns transitions off or on.
+     *
+     * @param {boolean} reduced - Set to 'true' to keep motion to a minimum.
+     */
+    setReducedMotion(reduced) {
+        this.container.classList.toggle('reduced_motion', reduced);
+        if (reduced) {
+            this.focused?.media?.pause(); // Can still be played from the detail view
+        }
+    }
+
+    /**
+     * Removes the cards and hides the carousel again.
+     */
+    dispose() {
+        this.items.forEach(item => {
+            item.media?.dispose();
+            item.element.remove();
+        });
+        this.items = [];
+        this.focused = null;
+        this.onSelect = null;
+        this.container.hidden = true;
+    }
+
+    /**
+     * Updates the text alternatives and drawn faces of the cards to the current language.
+     */
+    refresh() {
+        this.items.forEach(item => {
+            if (item.face !== null) {
+                item.face.draw();
+                item.face.canvas.setAttribute('aria-label', localize(item.data.title));
+            }
+
+            else if (item.media !== null) {
+                item.media.element.setAttribute('aria-label', localize(item.data.title));
+            }
+
+            else if (item.data.path === undefined) {
+                const placeholder = item.element.querySelector('.carousel_placeholder');
+                placeholder.textContent = localize(item.data.title);
+                placeholder.setAttribute('aria-label', localize(item.data.title));
+            }
+
+            else {
+                item.element.querySelector('img').alt = localize(item.data.title);
+            }
+        });
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Language support, holds the string table of the current language.
+ *
+ * Static markup is translated through 'data-i18n' attributes holding a key
+ * into the string table, e.g. <h1 data-i18n="splash.title">. Card data uses
+ * localized values instead, objects keyed by language: {sv: '...', en: '...'}.
+ */
+
+export const LANGUAGES = ['sv', 'en'];
+export const DEFAULT_LANGUAGE = 'sv';
+
+const STORAGE_KEY = 'tidig_language';
+
+let language = DEFAULT_LANGUAGE;
+let strings  = {};
+let request  = null; // Latest call of setLanguage(), earlier calls still loading are dropped
+
+/**
+ * Picks a language, a previously made choice wins over the browser settings.
+ *
+ * @returns One of LANGUAGES.
+ */
+export function detectLanguage() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    }
+
+    catch (error) {
+        // Storage blocked, ok to proceed with the browser settings
+    }
+
+    if (LANGUAGES.includes(stored)) {
+        return stored;
+    }
+
+    // navigator.language is in the form 'en-US', only the language part is of interest
+    const preferred = navigator.languages ?? [navigator.language];
+    for (const tag of preferred) {
+        const lang = tag.split('-')[0].toLowerCase();
+        if (LANGUAGES.includes(lang)) {
+            return lang;
+        }
+    }
+
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Loads the string table of a language and translates the document.
+ *
+ * @param {string} lang - One of LANGUAGES.
+ * @param {boolean} remember - Set to 'true' to store the choice for later visits.
+ * @returns Promise resolving to 'true' once the language is applied, or 'false' if a later call replaced it
+ * while loading, e.g. when switching back and forth quickly.
+ */
+export async function setLanguage(lang, remember = false) {
+    if (!LANGUAGES.includes(lang)) {
+        throw new Error(`Unsupported language '${lang}'.`);
+    }
+
+    const current = {};
+    request = current;
+
+    const response = await fetch(`data/locales/${lang}.json`);
+    if (request !== current) {
+        return false;
+    }
+
+    if (!response.ok) {
+        throw new Error(`String table for '${lang}' could not be loaded: ${response.status} ${response.statusText}`);
+    }
+
+    const table = await response.json();
+    if (request !== current) {
+        return false;
+    }
+
+    strings  = table;
+    language = lang;
+
+    if (remember) {
+        try {
+            localStorage.setItem(STORAGE_KEY, lang);
+        }
+
+        catch (error) {
+            // Storage blocked, the choice only lasts for this visit
+        }
+    }
+
+    document.documentElement.lang = lang;
+    translateDocument();
+    return true;
+}
+
+/**
+ * @returns The current language.
+ */
+export function getLanguage() {
+    return language;
+}
+
+/**
+ * Looks up a string in the string table of the current language.
+ *
+ * @param {string} key - Dot separated path into the string table, e.g. 'splash.title'.
+ * @param {Object} params - Values for placeholders in the string, e.g. {title: 'Projekt'} for '{title}'.
+ * @returns The string, or the key itself if it is missing.
+ */
+export function t(key, params = {}) {
+    const value = key.split('.').reduce((obj, part) => obj?.[part], strings);
+    if (typeof value !== 'string') {
+        console.warn(`Missing '${language}' string for '${key}'.`);
+        return key;
+    }
+
+    return value.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+}
+
+/**
+ * Picks the right language out of a localized value.
+ *
+ * @param {string|Object} value - Plain string or object keyed by language, {sv: '...', en: '...'}.
+ * @param {string} lang - Language to pick, defaults to the current language.
+ * @returns The string, falls back on the default language if the value lacks a translation.
+ */
+export function localize(value, lang = language) {
+    if (typeof value === 'string') {
+        return value;
+    }
+
+    return value[lang] ?? value[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Fills every element with a 'data-i18n' attribute with its string,
+ * elements with a 'data-i18n-label' attribute get their 'aria-label' translated.
+ *
+ * @param {ParentNode} root - Element to translate the content of.
+ */
+export function translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+}
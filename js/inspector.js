@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
+import { applySceneSettings, readSceneSettings } from './scene_settings.js';
+
+/**
+ * Class showing a panel for tuning the scene while developing, see scene_settings.js for what can be tuned.
+ * Shows helpers for the lights, the shadow camera and the axes (x red, y green, z blue) on request,
+ * and exports the tuned values as a JSON file the scene can load at startup.
+ */
+export class Inspector {
+    /**
+     * @param {THREE.Scene} scene - Scene the helpers are added to.
+     * @param {Object} parts - The tunable parts of the scene, see readSceneSettings() in scene_settings.js.
+     */
+    constructor(scene, parts) {
+        this.scene    = scene;
+        this.parts    = parts;
+        this.initial  = readSceneSettings(parts); // Restored by reset()
+        this.settings = readSceneSettings(parts); // Values the controls edit
+        this.gui      = new GUI({ title: 'Inspector' });
+
+        // Helpers setup
+        const light = parts.light;
+        this.helpers = {
+            lights: [new THREE.SpotLightHelper(light), new THREE.HemisphereLightHelper(parts.hemisphere, 1)],
+            shadow_camera: [new THREE.CameraHelper(light.shadow.camera)],
+            axes: [new THREE.AxesHelper(30)],
+        };
+        this.shown = { lights: false, shadow_camera: false, axes: false };
+
+        this._build();
+    }
+
+    /**
+     * Keeps the helpers in line with the scene, call once per frame.
+     */
+    update() {
+        if (this.shown.lights) {
+            this.helpers.lights.forEach(helper => helper.update());
+        }
+
+        if (this.shown.shadow_camera) {
+            this.helpers.shadow_camera[0].update();
+        }
+    }
+
+    /**
+     * Sets every value back to what the scene started with.
+     */
+    reset() {
+        applySceneSettings(this.parts, this.initial);
+        this._sync();
+    }
+
+    /**
+     * Downloads the current values as 'scene.json', to replace data/scene.json with.
+     */
+    export() {
+        const json = JSON.stringify(readSceneSettings(this.parts), null, 4);
+        const url = URL.createObjectURL(new Blob([json + '\n'], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'scene.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Removes the panel and the helpers.
+     */
+    dispose() {
+        this.gui.destroy();
+        Object.values(this.helpers).flat().forEach(helper => {
+            helper.removeFromParent();
+            helper.dispose();
+        });
+    }
+
+    _build() {
+        const settings = this.settings;
+        const apply = () => this._apply();
+
+        const folder_light = this.gui.addFolder('Light');
+        folder_light.addColor(settings.light, 'color').onChange(apply);
+        folder_light.add(settings.light, 'intensity', 0, 1, 0.05).onChange(apply);
+        folder_light.add(settings.light, 'angle', 0, 90).onChange(apply);
+        folder_light.add(settings.light, 'penumbra', 0, 1, 0.01).onChange(apply);
+        addXYZ(folder_light, settings.light.position, 'position', apply);
+        addXYZ(folder_light, settings.light.target, 'target', apply);
+
+        const folder_hemisphere = this.gui.addFolder('Hemisphere light');
+        folder_hemisphere.addColor(settings.hemisphere, 'sky_color').onChange(apply);
+        folder_hemisphere.addColor(settings.hemisphere, 'ground_color').onChange(apply);
+        folder_hemisphere.add(settings.hemisphere, 'intensity', 0, 1, 0.05).onChange(apply);
+        addXYZ(folder_hemisphere, settings.hemisphere.position, 'position', apply);
+
+        const folder_shadow = this.gui.addFolder('Shadow');
+        folder_shadow.add(settings.shadow, 'near', 0.1, 50, 0.1).onChange(apply);
+        folder_shadow.add(settings.shadow, 'far', 0.1, 50, 0.1).onChange(apply);
+        folder_shadow.add(settings.shadow, 'zoom', 0.01, 3, 0.01).onChange(apply);
+        folder_shadow.add(settings.shadow, 'bias', -0.001, 0.001, 0.0001).onChange(apply);
+        folder_shadow.add(settings.shadow, 'radius', -5, 5, 0.25).onChange(apply);
+        folder_shadow.add(settings.shadow, 'map_size', [256, 512, 1024, 2048]).onChange(apply);
+
+        const folder_sphere = this.gui.addFolder('Sphere');
+        folder_sphere.addColor(settings.sphere, 'emissive').onChange(apply);
+        folder_sphere.add(settings.sphere, 'clearcoat', 0, 1, 0.05).onChange(apply);
+        folder_sphere.add(settings.sphere, 'clearcoat_roughness', 0, 1, 0.05).onChange(apply);
+        folder_sphere.add(settings.sphere, 'roughness', 0, 1, 0.05).onChange(apply);
+        folder_sphere.add(settings.sphere, 'metalness', 0, 1, 0.05).onChange(apply);
+
+        const folder_orbit = this.gui.addFolder('Orbit');
+        folder_orbit.add(settings.orbit, 'radius', 4.5, 12, 0.1).onChange(apply);
+        folder_orbit.add(settings.orbit, 'focus_distance', 1, 2, 0.01).onChange(apply);
+
+        const folder_timings = this.gui.addFolder('Timings (ms)');
+        folder_timings.add(settings.timings, 'animation', 100, 4000, 50).onChange(apply);
+        folder_timings.add(settings.timings, 'camera_pan', 100, 5000, 50).onChange(apply);
+
+        const folder_helpers = this.gui.addFolder('Helpers');
+        Object.keys(this.shown).forEach(name => {
+            folder_helpers.add(this.shown, name).onChange(shown => this._showHelpers(name, shown));
+        });
+
+        this.gui.add(this, 'reset').name('Reset');
+        this.gui.add(this, 'export').name('Export JSON');
+        this.gui.folders.forEach(folder => folder.close());
+    }
+
+    _apply() {
+        // The far plane of the shadow camera stays beyond the near plane
+        this.settings.shadow.far = Math.max(this.settings.shadow.far, this.settings.shadow.near + 0.1);
+        applySceneSettings(this.parts, this.settings);
+        this._sync();
+    }
+
+    // Shows the values of the scene in the controls, e.g. after a value had to be corrected
+    _sync() {
+        assignDeep(this.settings, readSceneSettings(this.parts)); // The controls hold on to the nested objects
+        this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+        this.update();
+    }
+
+    _showHelpers(name, shown) {
+        this.helpers[name].forEach(helper => {
+            if (shown) {
+                this.scene.add(helper);
+            }
+
+            else {
+                helper.removeFromParent();
+            }
+        });
+
+        this.update();
+    }
+}
+
+/**
+ * Adds a folder with a control per axis of a vector.
+ *
+ * @param {GUI} gui - Panel or folder to add to.
+ * @param {Object} vector - Object with 'x', 'y' and 'z' to edit.
+ * @param {string} name - Title of the folder.
+ * @param {Function} onChange - Called after every change.
+ */
+function addXYZ(gui, vector, name, onChange) {
+    const folder = gui.addFolder(name);
+    ['x', 'y', 'z'].forEach(axis => folder.add(vector, axis, -30, 30).onChange(onChange));
+}
+
+/**
+ * Copies values into an object of the same shape, nested objects are filled in rather than replaced.
+ *
+ * @param {Object} target - Object to copy into.
+ * @param {Object} source - Object to copy from.
+ */
+function assignDeep(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        if (value !== null && typeof value === 'object') {
+            assignDeep(target[key], value);
+        }
+
+        else {
+            target[key] = value;
+        }
+    });
+}
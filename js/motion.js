@@ -0,0 +1,73 @@
+const STORAGE_KEY = 'tidig_reduced_motion';
+
+/**
+ * Class deciding if the scene should keep motion to a minimum.
+ * Follows the 'prefers-reduced-motion' setting of the system unless the user has made a choice on the site.
+ */
+export class MotionPolicy {
+    constructor() {
+        this.query     = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.override  = readStored(); // 'true'/'false' when chosen by the user, else 'null'
+        this.listeners = [];
+
+        this.query.addEventListener('change', () => {
+            if (this.override === null) {
+                this._notify();
+            }
+        });
+    }
+
+    /**
+     * @returns 'true' if motion should be reduced.
+     */
+    get reduced() {
+        return this.override ?? this.query.matches;
+    }
+
+    /**
+     * Manual toggle, the choice is remembered for later visits.
+     *
+     * @param {boolean} reduced - Set to 'true' to reduce motion.
+     */
+    setReduced(reduced) {
+        this.override = reduced;
+        try {
+            localStorage.setItem(STORAGE_KEY, String(reduced));
+        }
+
+        catch (error) {
+            // Storage blocked, the choice only lasts for this visit
+        }
+
+        this._notify();
+    }
+
+    /**
+     * @param {Function} callback - Called with the new value whenever the policy changes.
+     * @returns Function that stops calling the callback.
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    _notify() {
+        this.listeners.forEach(callback => callback(this.reduced));
+    }
+}
+
+/**
+ * @returns The stored choice of the user, 'null' if there is none.
+ */
+function readStored() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored === null ? null : stored === 'true';
+    }
+
+    catch (error) {
+        return null;
+    }
+}
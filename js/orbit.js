@@ -0,0 +1,1169 @@
+import * as THREE from 'three';
+import { AssetCache, disposeObject } from './assets.js';
+import { REAL_CLOCK } from './clock.js';
+
+// Part of the screen the focused entity is fitted into, in normalized device coordinates.
+// Landscape screens show it in the right half next to the menu, portrait screens in the lower half below it.
+const FOCUS_REGIONS = {
+    landscape: { left: 0, right: 1, bottom: -0.95, top: 0.95 },
+    portrait:  { left: -0.95, right: 0.95, bottom: -0.95, top: 0 },
+};
+const FOCUS_MARGIN = 0.9; // Share of the region the entity may fill
+
+/**
+ * Class representing a perfectly circular orbit around a single stationary central object.
+ * 
+ * Dispatches the following events, all with an 'entity' property:
+ * - focusstart:     An entity starts moving to the focus point.
+ * - focusend:       The focused entity has settled, it is in place and scaled to fit.
+ * - focusinterrupt: The focus changed before the entity had settled.
+ * - unfocus:        The focused entity starts moving back to the main orbit.
+ * - scaled:         The focused entity is scaled to fit, the final scale is in 'scale'.
+ * - highlight:      The highlight was added to or removed from an entity, see 'visible'.
+ * 
+ * And without an 'entity' property:
+ * - orderchange:    An entity was inserted, removed or the entities were reordered.
+ * 
+ * @extends THREE.EventDispatcher
+ */
+export class Orbit extends THREE.EventDispatcher {
+    /**
+     * Create a orbit.
+     * 
+     * @param {THREE.Camera} camera - The camera used to view the orbit, is for checking if entities are within bounds.
+     * @param {number} radius - Radius from system center at which entities will orbit.
+     * @param {THREE.Object3D} center_obj - Object in center of orbit.
+     * @param {number} focus_dist_mult - Multiplier for focus point distance.
+     * @param {number} animation_time - Time in milliseconds, used as a base for animation times.
+     * @param {TWEEN.Group} tween_group - Group the animations are added to, the global group if left out.
+     * @param {Object} clock - Clock the animations start on, see clock.js. Must be the clock the group is updated with.
+     * @param {AssetCache} assets - Holds the highlight textures and materials, may be shared. A cache of its own if left out.
+     */
+    constructor(camera, radius, center_obj, focus_dist_mult = 1.3, animation_time = 1200, tween_group = undefined, clock = REAL_CLOCK, assets = new AssetCache()) {
+        super();
+        this.tween_group     = tween_group;
+        this.clock           = clock;
+        this.camera          = camera;
+        this.radius          = radius;
+        this.center_obj      = center_obj;
+        this.focus_dst_mult  = focus_dist_mult;
+        this.focused         = null; // Holds the focused entity
+        this.settled         = false; // Whether the focused entity is in place and scaled
+        this.pending_focus   = null; // Promise of the focus in progress and its resolver, see setFocus()
+        this.show_highlight  = true; // Whether focused entities get a highlight once in place
+        this.highlight_color = 0xFF9B2A;
+        this.highlight       = null; // Button and border meshes, built once and moved between entities
+        this.assets          = assets; // Freed by dispose()
+        this.animation_time  = animation_time;
+        this.reduced_motion  = false; // Set through setReducedMotion()
+        this.reduced_time    = 250; // Upper bound of animation times when motion is reduced
+        this.order           = []; // All entities in slot order, a focused entity keeps its slot
+        this.start_angle     = 0; // Angle of the first slot
+        this.system          = new THREE.Group(); // The system that holds all the orbits and the center object
+        this.main_orbit      = new THREE.Group();
+        this.focus_orbit     = new THREE.Group();
+        this.system.add(center_obj);
+        this.system.add(this.main_orbit);
+        this.system.add(this.focus_orbit);
+
+        // Tween animation holders
+        this.tween_orbit_rot = null;
+        this.tween_ent_rot   = null;
+        this.tween_ent_pos   = null;
+        this.tween_scale     = null;
+        this.tween_highlight = null;
+        this.tween_slots     = new Map(); // Redistribution tween of each entity on its way to a new slot
+        this.tween_grow      = new Map(); // Scale tween of each entity growing in, see insertAt()
+        this.tween_dock      = new Map(); // Tween of each entity on its way back from the focus point, see _focusedToOrbit()
+
+        // Add mask used to darken scene when an entity is in focus
+        const material = new THREE.MeshBasicMaterial({ color: 0x000000, opacity: 0 });
+        material.transparent = true;
+        this.opacity_mask = new THREE.Mesh(new THREE.PlaneGeometry(100, 100), material);
+        this.opacity_mask.position.set(0, 0, radius * (focus_dist_mult - 0.1)); // Place right behind focus point
+        this.system.add(this.opacity_mask);
+
+        // Debug stuff
+        this.dup_main_orbit = new THREE.Group();
+        // this.system.add(this.dup_main_orbit);
+        const fgeometry = new THREE.BoxGeometry(0.3, 0.3, 10);
+        const fmaterial = new THREE.MeshBasicMaterial({ color: 0x66327f });
+        // this.focus_orbit.add(new THREE.Mesh(fgeometry, fmaterial));
+        const mgeometry = new THREE.BoxGeometry(0.3, 0.3, 10);
+        const mmaterial = new THREE.MeshBasicMaterial({ color: 0x38bebd });
+        // this.dup_main_orbit.add(new THREE.Mesh(mgeometry, mmaterial));
+    }
+
+    /**
+     * @returns THREE.Group representing the orbit system.
+     */
+    getSystem() {
+        return this.system;
+    }
+
+    /**
+     * Get all main orbit entities id's.
+     * 
+     * @returns Array of ids for every entity in main orbit (not focused!).
+     */
+    getIDs() {
+        const ids = [];
+        this.main_orbit.children.forEach(obj => {
+            ids.push(obj.id);
+        });
+
+        return ids;
+    }
+
+    /**
+     * Get all entities id's, focused or not.
+     * 
+     * @returns Array of ids in slot order.
+     */
+    getOrder() {
+        return this.order.map(entity => entity.id);
+    }
+
+    /**
+     * Adds a new item to the end of the orbit, without animation. Used for setting up the orbit.
+     * 
+     * @param {THREE.Object3D} entity - The entity which will be added to the orbit. 
+     * @param {number} angle - The angle in radians where the entity will be placed.
+     * @param {boolean} redistribute_all - Set to 'true' to uniformly redistribute all items in the orbit, 
+     * starting at 'angle'.
+     */
+    add(entity, angle = 0, redistribute_all = false) {
+        this.order.push(entity);
+        this.main_orbit.add(entity);
+
+        if (redistribute_all) {
+            this.start_angle = angle;
+            this._redistribute(false);
+        }
+
+        else {
+            this._place(entity, angle);
+        }
+    }
+
+    /**
+     * Inserts a new item into the orbit, it grows in at its slot while the others make room.
+     * 
+     * @param {number} index - Slot of the new entity, clamped to the number of entities.
+     * @param {THREE.Object3D} entity - The entity which will be added to the orbit.
+     */
+    insertAt(index, entity) {
+        index = THREE.MathUtils.clamp(index, 0, this.order.length);
+        this.order.splice(index, 0, entity);
+        this.main_orbit.add(entity);
+        entity.rotation.y = -this.main_orbit.rotation.y;
+        this._place(entity, this._slotAngle(index));
+
+        if (this.reduced_motion) {
+            entity.stopDrift();
+        }
+
+        const scale = entity.scale.clone();
+        entity.scale.setScalar(0.001); // Not 0, the entity must stay pickable
+        const grow = new TWEEN.Tween(entity.scale, this.tween_group)
+            .to(scale, this._time(this.animation_time))
+            .easing(TWEEN.Easing.Cubic.Out)
+            .onComplete(() => this.tween_grow.delete(entity))
+            .start(this.clock.now());
+
+        this.tween_grow.set(entity, grow);
+
+        this._redistribute();
+        this.dispatchEvent({ type: 'orderchange' });
+    }
+
+    /**
+     * Removes an item from the orbit, the others close the gap. 
+     * A focused entity loses focus and is removed right away.
+     * 
+     * @param {Number} id - The entity to remove.
+     * @returns The removed entity, ready to be disposed of, or 'null' if it was not found.
+     */
+    remove(id) {
+        const entity = this.order.find(obj => obj.id === id);
+        if (entity === undefined) {
+            return null;
+        }
+
+        if (entity === this.focused) {
+            this.tween_ent_rot.stop();
+            this.tween_ent_pos.stop();
+            this._releaseFocus();
+        }
+
+        this._stopSlotTween(entity);
+        this.tween_grow.get(entity)?.stop();
+        this.tween_grow.delete(entity);
+        this.tween_dock.get(entity)?.stop();
+        this.tween_dock.delete(entity);
+        entity.stopDrift();
+        entity.removeFromParent();
+        this.order.splice(this.order.indexOf(entity), 1);
+
+        this._redistribute();
+        this.dispatchEvent({ type: 'orderchange' });
+        return entity;
+    }
+
+    /**
+     * Moves the items to new slots, in the given order.
+     * 
+     * @param {Number[]} ids - Every entity id of the orbit, once, in the new order.
+     */
+    reorder(ids) {
+        const entities = ids.map(id => this.order.find(obj => obj.id === id));
+        if (entities.length !== this.order.length || entities.includes(undefined) || new Set(entities).size !== entities.length) {
+            throw new Error(`Orbit order must list every entity id once, got [${ids.join(', ')}].`);
+        }
+
+        this.order = entities;
+        this._redistribute();
+        this.dispatchEvent({ type: 'orderchange' });
+    }
+
+    /**
+     * Stops every animation of the orbit and frees what it created itself: the highlight, 
+     * the background fade mask and the asset cache. Entities are left to their owner.
+     */
+    dispose() {
+        this.tween_slots.forEach(tween => tween.stop());
+        this.tween_grow.forEach(tween => tween.stop());
+        this.tween_dock.forEach(tween => tween.stop());
+        this.tween_slots.clear();
+        this.tween_grow.clear();
+        this.tween_dock.clear();
+        [this.tween_orbit_rot, this.tween_ent_rot, this.tween_ent_pos, this.tween_scale, this.tween_highlight]
+            .forEach(tween => tween?.stop());
+        this.order.forEach(entity => entity.stopDrift());
+
+        if (this.focused !== null) {
+            this._removeHighlight(this.focused);
+        }
+
+        this.highlight?.button.geometry.dispose();
+        this.highlight?.outline.geometry.dispose();
+        this.opacity_mask.geometry.dispose();
+        this.opacity_mask.material.dispose();
+        this.assets.dispose();
+    }
+
+    /**
+     * @param {number} index - Slot index.
+     * @returns Angle in radians of the slot in the main orbit, slots are evenly spaced.
+     */
+    _slotAngle(index) {
+        return this.start_angle + index * 2*Math.PI / this.order.length;
+    }
+
+    /**
+     * Sets the position of an entity in the main orbit, its height is left as is.
+     * 
+     * @param {THREE.Object3D} entity - Entity to place.
+     * @param {number} angle - The angle in radians where the entity will be placed.
+     */
+    _place(entity, angle) {
+        entity.position.z = this.radius * Math.cos(angle);
+        entity.position.x = this.radius * Math.sin(angle);
+    }
+
+    /**
+     * Moves every entity in the main orbit to its slot, the focused entity 
+     * and entities on their way back to the main orbit are left for now.
+     * 
+     * @param {boolean} animate - Set to 'false' to move them instantly.
+     */
+    _redistribute(animate = true) {
+        this.order.forEach(entity => {
+            if (entity.parent === this.main_orbit) {
+                this._moveToSlot(entity, animate);
+            }
+        });
+    }
+
+    /**
+     * Moves an entity in the main orbit along the orbit to its slot, the shortest way around.
+     * 
+     * @param {THREE.Object3D} entity - Entity to move.
+     * @param {boolean} animate - Set to 'false' to move it instantly.
+     */
+    _moveToSlot(entity, animate = true) {
+        this._stopSlotTween(entity);
+        const target = this._slotAngle(this.order.indexOf(entity));
+        if (!animate) {
+            this._place(entity, target);
+            return;
+        }
+
+        const from = Math.atan2(entity.position.x, entity.position.z);
+        const delta = THREE.MathUtils.euclideanModulo(target - from + Math.PI, 2*Math.PI) - Math.PI;
+        const slot = { angle: from };
+        const tween = new TWEEN.Tween(slot, this.tween_group)
+            .to({angle: from + delta}, this._time(this.animation_time))
+            .easing(TWEEN.Easing.Cubic.InOut)
+            .onUpdate(() => this._place(entity, slot.angle))
+            .onComplete(() => this.tween_slots.delete(entity))
+            .start(this.clock.now());
+
+        this.tween_slots.set(entity, tween);
+    }
+
+    /**
+     * @param {THREE.Object3D} entity - Entity to stop moving along the orbit.
+     */
+    _stopSlotTween(entity) {
+        this.tween_slots.get(entity)?.stop();
+        this.tween_slots.delete(entity);
+    }
+
+    /**
+     * Turns idle motion (drifting entities, pulsing highlight, moving entities playing on focus) off or on and shortens transitions.
+     * 
+     * @param {boolean} reduced - Set to 'true' to keep motion to a minimum.
+     */
+    setReducedMotion(reduced) {
+        this.reduced_motion = reduced;
+        this.main_orbit.children.forEach(entity => {
+            if (reduced) {
+                entity.stopDrift();
+            }
+
+            else {
+                entity.startDrift();
+            }
+        });
+
+        if (reduced) {
+            this.focused?.userData.media?.pause(); // Can still be played from the detail view
+        }
+
+        if (this.tween_highlight !== null) {
+            if (reduced) {
+                this.tween_highlight.stop();
+            }
+
+            else if (this.focused !== null && this._isHighlighted(this.focused)) {
+                // Only resume if the highlight is still in use
+                this.tween_highlight.start(this.clock.now());
+            }
+        }
+    }
+
+    /**
+     * @param {number} time - Animation time in milliseconds.
+     * @returns The time to use, shortened if motion is reduced.
+     */
+    _time(time) {
+        return this.reduced_motion ? Math.min(time, this.reduced_time) : time;
+    }
+
+    /**
+     * Updates positions and rotations of main orbit and its entities.
+     * 
+     * @param {number} rotation - An angle in radians, sets the rotation of the main orbit.
+     */
+    update(rotation) {
+        this.main_orbit.rotation.y = rotation;
+        // this.dup_main_orbit.rotation.y = rotation;
+
+        this.main_orbit.children.forEach(child => {
+            child.rotation.y = -rotation;
+        });
+    }
+
+    /**
+     * @returns 'portrait' on screens taller than wide, else 'landscape', picks the region of FOCUS_REGIONS.
+     */
+    getLayout() {
+        return this.camera.aspect <= 1 ? 'portrait' : 'landscape';
+    }
+
+    /**
+     * Computes where the focused entity goes and how large it is, straight from the camera frustum.
+     * The entity is placed at the depth of the focus point, in the middle of its region of the screen
+     * (see FOCUS_REGIONS) and scaled to fill it, never beyond its own size.
+     * 
+     * @param {THREE.Object3D} entity - Focused entity.
+     * @param {number} orbit_angle - Rotation of the focus orbit once the entity is in place.
+     * @returns Object {position, scale}, the position in the space of the focus orbit.
+     */
+    _focusPose(entity, orbit_angle) {
+        const region = FOCUS_REGIONS[this.getLayout()];
+        this.camera.updateMatrixWorld();
+        this.system.updateWorldMatrix(true, false);
+
+        // Distance of the focus point in front of the camera
+        const focus_point = new THREE.Vector3(0, 0, this.radius * this.focus_dst_mult);
+        focus_point.applyMatrix4(this.system.matrixWorld).applyMatrix4(this.camera.matrixWorldInverse);
+        const depth = Math.max(-focus_point.z, this.camera.near * 2);
+
+        // Size of the visible area at that depth
+        const half_height = depth * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const half_width = half_height * this.camera.aspect;
+
+        const size = this._bounds(entity).getSize(new THREE.Vector3()); // In the space of the entity, i.e. unscaled
+        const scale = Math.min(
+            1,
+            FOCUS_MARGIN * (region.right - region.left) * half_width / size.x,
+            FOCUS_MARGIN * (region.top - region.bottom) * half_height / size.y
+        );
+
+        // Middle of the region, from camera space to the space of the focus orbit
+        const position = new THREE.Vector3(
+            (region.left + region.right) / 2 * half_width,
+            (region.bottom + region.top) / 2 * half_height,
+            -depth
+        );
+        position.applyMatrix4(this.camera.matrixWorld);
+        this.system.worldToLocal(position);
+        position.applyAxisAngle(new THREE.Vector3(0, 1, 0), -orbit_angle);
+
+        return { position, scale: Number.isFinite(scale) ? scale : 1 };
+    }
+
+    /**
+     * Changes the size of the main orbit and the distance of the focus point, e.g. from the inspector.
+     * Entities jump to their new slots, the focused entity moves to the new focus point.
+     * 
+     * @param {number} radius - Radius from system center at which entities will orbit.
+     * @param {number} focus_dist_mult - Multiplier for focus point distance, kept if left out.
+     */
+    setRadius(radius, focus_dist_mult = this.focus_dst_mult) {
+        this.radius = radius;
+        this.focus_dst_mult = focus_dist_mult;
+        this.opacity_mask.position.set(0, 0, radius * (focus_dist_mult - 0.1)); // Place right behind focus point
+        this._redistribute(false);
+        this.relayout();
+    }
+
+    /**
+     * Moves the focused entity to fit the screen again, e.g. after a resize or once the camera has moved.
+     * Does nothing while the entity is still on its way, it is fitted once it arrives.
+     */
+    relayout() {
+        if (this.focused === null || this.tween_ent_pos?.isPlaying()) {
+            return;
+        }
+
+        const entity = this.focused;
+        const pose = this._focusPose(entity, this.focus_orbit.rotation.y);
+        this.tween_scale?.stop();
+        this.tween_scale = new TWEEN.Tween(entity, this.tween_group)
+            .to({ position: pose.position, scale: { x: pose.scale, y: pose.scale, z: pose.scale } }, this._time(300))
+            .easing(TWEEN.Easing.Quadratic.Out)
+            .onComplete(() => {
+                this.dispatchEvent({ type: 'scaled', entity, scale: pose.scale });
+            })
+            .start(this.clock.now());
+    }
+
+    /**
+     * Set an entity as the new focused entity and returns eventual old focused entity to main orbit.
+     * 
+     * @param {Number} id - The new entity to focus, if 'null' nothing will be focused but 
+     * the old focused object will be returned to orbit.
+     * @returns Promise resolving to 'true' when the entity has settled at the focus point, 
+     * or 'false' if nothing was focused or the focus changed before it settled.
+     */
+    setFocus(id) {
+        if (this.focused !== null) {
+            if (id === this.focused.id) {
+                // Item already focused, abort
+                return this.settled ? Promise.resolve(true) : this.pending_focus.promise;
+            }
+
+            // Another item is already focused, un-focus it and then proceed
+            this._focusedToOrbit();
+        }
+
+        // Find entity and bring to focus point if found, also when still on its way back to the main orbit
+        const entity = this.order.find(obj => obj.id === id);
+        if (entity === undefined) {
+            return Promise.resolve(false);
+        }
+
+        this.tween_dock.get(entity)?.stop();
+        this.tween_dock.delete(entity);
+
+        this.pending_focus = {};
+        this.pending_focus.promise = new Promise(resolve => {
+            this.pending_focus.resolve = resolve;
+        });
+
+        this._bringToFront(entity);
+        return this.pending_focus.promise;
+    }
+
+    /**
+     * Adds highlight border effect to an entity and a read more button.
+     * 
+     * @param {THREE.Object3D} entity - Entity to highlight.
+     * 
+     * @author Lee Stemkoski
+     * @see https://github.com/stemkoski/stemkoski.github.com/blob/master/Three.js/Outline.html
+     */
+    addHighlight(entity) {
+        const { button, frame, border, outline } = this._highlightParts();
+        const bounds = this._bounds(entity);
+        if (bounds.isEmpty()) {
+            return; // Nothing to highlight yet, e.g. a model still loading
+        }
+
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+
+        // Button position, left of the entity near its bottom
+        const btn_width = button.geometry.parameters.width;
+        const btn_height = button.geometry.parameters.height;
+        const btn_x_offset = 1.15 * (bounds.min.x - btn_width/2);
+        const btn_y_offset = bounds.min.y + btn_height + 0.3;
+        button.position.set(btn_x_offset, btn_y_offset, bounds.max.z + 0.1);
+
+        // Cards have a shape of their own, the border has that shape and is placed right behind it.
+        // Other entities, e.g. models, are outlined by their bounding box instead.
+        const shaped = entity.geometry?.getAttribute('position') !== undefined;
+        border.visible = shaped;
+        outline.visible = !shaped;
+        frame.position.copy(center);
+        frame.scale.setScalar(1);
+        if (shaped) {
+            border.geometry = entity.geometry;
+            border.position.copy(center).negate().setZ(-center.z - 0.001);
+        }
+
+        else {
+            outline.scale.copy(size).multiplyScalar(1.05);
+        }
+
+        entity.add(button, frame);
+
+        this.tween_highlight.stop();
+        if (!this.reduced_motion) {
+            this.tween_highlight.start(this.clock.now());
+        }
+
+        this.dispatchEvent({ type: 'highlight', entity, visible: true });
+    }
+
+    /**
+     * Builds the highlight meshes and their pulse on first use.
+     * 
+     * @returns Object holding the meshes, {button, frame, border, outline}.
+     */
+    _highlightParts() {
+        if (this.highlight !== null) {
+            return this.highlight;
+        }
+
+        // Setup read more button
+        const btn_material = this.assets.material('read_more', () => {
+            const material = new THREE.MeshBasicMaterial({
+                map: this.assets.texture('media/read_more6.png'),
+                side: THREE.FrontSide,
+                transparent: true,
+            });
+
+            // Combat blurriness at distance
+            material.map.magFilter = THREE.LinearFilter;
+            material.map.minFilter = THREE.LinearMipmapLinearFilter;
+            return material;
+        });
+
+        // Button dimensions
+        const btn_width = 0.60;
+        const btn_geometry = new THREE.PlaneGeometry(btn_width, btn_width * 0.328); // Aspect ratio hard-coded (texture height/width)
+        const button = new THREE.Mesh(btn_geometry, btn_material);
+
+        // Setup highlight border, gets the geometry of the entity it is added to
+        const border_material = this.assets.material(`highlight_${this.highlight_color}`, () => {
+            return new THREE.MeshBasicMaterial({
+                color: this.highlight_color,
+                side: THREE.FrontSide
+            });
+        });
+        const border = new THREE.Mesh(undefined, border_material);
+
+        // Setup bounding box outline, a unit box scaled to the entity
+        const outline_material = this.assets.material(`outline_${this.highlight_color}`, () => {
+            return new THREE.LineBasicMaterial({ color: this.highlight_color });
+        });
+        const outline = new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)), outline_material);
+
+        // Either border or outline is shown, the frame pulses
+        const frame = new THREE.Group();
+        frame.add(border, outline);
+
+        const max_scale = frame.scale.clone().multiplyScalar(1.015); // Upper bound of highlight effect
+        this.tween_highlight = new TWEEN.Tween(frame.scale, this.tween_group)
+        .to(max_scale, 2000)
+        .repeat(Infinity)
+        .yoyo(true);
+
+        this.highlight = { button, frame, border, outline };
+        return this.highlight;
+    }
+
+    /**
+     * @param {THREE.Object3D} entity - Entity to check.
+     * @returns 'true' if the entity carries the highlight.
+     */
+    _isHighlighted(entity) {
+        return this.highlight !== null && this.highlight.frame.parent === entity;
+    }
+
+    /**
+     * @param {THREE.Object3D} object - Object to check.
+     * @returns 'true' if the object is one of the highlight meshes.
+     */
+    _isHighlightPart(object) {
+        return this.highlight !== null && [this.highlight.button, this.highlight.border, this.highlight.outline].includes(object);
+    }
+
+    /**
+     * Measures an entity with all its children, leaving out the highlight.
+     * 
+     * @param {THREE.Object3D} entity - Entity to measure.
+     * @returns THREE.Box3 in the local space of the entity, empty if it has no geometry.
+     */
+    _bounds(entity) {
+        const bounds = new THREE.Box3();
+        entity.updateWorldMatrix(true, true);
+        const to_local = entity.matrixWorld.clone().invert();
+
+        entity.traverse(object => {
+            if (object.geometry === undefined || this._isHighlightPart(object)) {
+                return;
+            }
+
+            if (object.geometry.boundingBox === null) {
+                object.geometry.computeBoundingBox();
+            }
+
+            const matrix = new THREE.Matrix4().multiplyMatrices(to_local, object.matrixWorld);
+            bounds.union(object.geometry.boundingBox.clone().applyMatrix4(matrix));
+        });
+
+        return bounds;
+    }
+
+    /**
+     * Takes the highlight off an entity and stops the pulse, the meshes are kept for the next one.
+     * 
+     * @param {THREE.Object3D} entity - Entity carrying the highlight.
+     */
+    _removeHighlight(entity) {
+        if (!this._isHighlighted(entity)) {
+            return;
+        }
+
+        entity.remove(this.highlight.button, this.highlight.frame);
+        this.tween_highlight.stop();
+        this.dispatchEvent({ type: 'highlight', entity, visible: false });
+    }
+
+    /**
+     * Shows or hides the highlight of the focused entity, the setting is kept for entities focused later on.
+     * 
+     * @param {boolean} visible - Set to 'false' to remove the highlight.
+     */
+    setHighlightVisible(visible) {
+        this.show_highlight = visible;
+        if (this.focused === null) {
+            return;
+        }
+
+        this._removeHighlight(this.focused);
+
+        if (visible && !this.tween_ent_pos.isPlaying()) {
+            // Still moving into place otherwise, highlight is added once done
+            this.addHighlight(this.focused);
+        }
+    }
+
+    /**
+     * Takes an entity from the main orbit and brings it to the focus point.
+     * Entities with media in their userData (see card_media.js) start playing.
+     * 
+     * @param {THREE.Object3D} entity - Entity to focus.
+     */
+    _bringToFront(entity) {
+        this.focused = entity;
+        this.settled = false;
+        this.dispatchEvent({ type: 'focusstart', entity });
+
+        // Change orbit
+        this._stopSlotTween(entity);
+        this.focus_orbit.attach(entity); // Drops old parent (main orbit, or the system while docking)
+
+        // Cancel vertical movement of entity
+        entity.stopDrift();
+
+        // Moving cards play while focused, see card_media.js
+        if (!this.reduced_motion) {
+            entity.userData.media?.play();
+        }
+
+        // Find the shortest travel direction and by how much to rotate
+        // focus orbit from angle 0 to the focus point
+        const direction = entity.position.x < 0 ? 1 : -1;
+        const angle = Math.abs(Math.atan2(entity.position.x, entity.position.z)) * direction;
+        const orbit_angle = angle + Math.PI/14; // Offset swings the entity past the focus point
+
+        // Final place and size in focus orbit, computed from the view
+        const pose = this._focusPose(entity, orbit_angle);
+
+        // Used to mask scene behind focused entity
+        const fade_tween = new TWEEN.Tween(this.opacity_mask.material, this.tween_group)
+        .easing(TWEEN.Easing.Quadratic.In)
+        .to({opacity: 0.6}, 300);
+        
+        // Reposition entity to focus point (+ offset to set it to the side)
+        this.tween_orbit_rot = new TWEEN.Tween(this.focus_orbit.rotation, this.tween_group)
+            .to({y: orbit_angle}, this._time(this.animation_time))
+            .easing(TWEEN.Easing.Circular.Out)
+            .start(this.clock.now());
+
+        // Counter-rotate entity (with some offset to over-rotate it a bit)
+        this.tween_ent_rot = new TWEEN.Tween(entity.rotation, this.tween_group)
+            .to({y: -angle - Math.PI/12}, this._time(this.animation_time))
+            .easing(TWEEN.Easing.Circular.Out)
+            .chain(fade_tween).start(this.clock.now());
+
+        // Bring forward, scaled to fit on the way
+        this.tween_scale = new TWEEN.Tween(entity.scale, this.tween_group)
+            .to({x: pose.scale, y: pose.scale, z: pose.scale}, this._time(this.animation_time))
+            .start(this.clock.now());
+
+        this.tween_ent_pos = new TWEEN.Tween(entity, this.tween_group)
+        .to({position: pose.position}, this._time(this.animation_time))
+        .onComplete(entity => {
+            // After all animations add highlight
+            if (this.show_highlight) {
+                this.addHighlight(entity);
+            }
+
+            this.settled = true;
+            this.dispatchEvent({ type: 'scaled', entity, scale: pose.scale });
+            this.dispatchEvent({ type: 'focusend', entity });
+            this.pending_focus.resolve(true);
+        }).start(this.clock.now());
+    }
+    
+    /**
+     * Brings the focused entity from the focus point to the main orbit.
+     */
+    _focusedToOrbit() {
+        const entity = this.focused;
+
+        // Remove entity from focus orbit and temporarily change orbit to 
+        // non-rotating system orbit for the transition
+        this.system.attach(entity);
+        this._releaseFocus();
+
+        // Get position for main orbit docking
+        const new_pos = new THREE.Vector3();
+        if (this.tween_ent_pos.isPlaying()) {
+            // If focus change has occured mid animation, stop animation and 
+            // enter orbit at current position
+            this.tween_ent_rot.stop();
+            this.tween_ent_pos.stop();
+            new_pos.copy(entity.position).setY(0).setLength(this.radius);
+        }
+        
+        else {
+            // Else enter orbit at fixed point 
+            const x = this.radius * Math.cos(Math.PI/4);
+            const z = this.radius * Math.sin(Math.PI/4);
+            new_pos.set(x, 0, z);
+        }
+        
+        // Move to new position at full size and dock when in position
+        const tween = new TWEEN.Tween({pos: entity.position, scale: entity.scale, entity: entity}, this.tween_group)
+            .to({pos: new_pos, scale: {x: 1, y: 1, z: 1}}, this._time(this.animation_time))
+            .easing(TWEEN.Easing.Cubic.Out)
+            .onComplete(obj => {
+                this.tween_dock.delete(obj.entity);
+                if (!this.order.includes(obj.entity)) {
+                    return; // Removed on the way
+                }
+
+                // Return to main orbit and use the same initial rotation
+                this.main_orbit.attach(obj.entity);
+                obj.entity.rotation.copy(this.main_orbit.rotation);
+                this._moveToSlot(obj.entity);
+                if (!this.reduced_motion) {
+                    obj.entity.startDrift();
+                }
+            }).start(this.clock.now());
+
+        this.tween_dock.set(entity, tween);
+    }
+
+    /**
+     * Clears the focus, ends the pending focus and hides the highlight and the background fade mask.
+     * The entity itself is left where it is.
+     */
+    _releaseFocus() {
+        const entity = this.focused;
+        if (!this.settled) {
+            this.pending_focus.resolve(false);
+            this.dispatchEvent({ type: 'focusinterrupt', entity });
+        }
+
+        this.dispatchEvent({ type: 'unfocus', entity });
+
+        this._removeHighlight(entity);
+        entity.userData.media?.pause();
+
+        this.focused = null;
+        this.settled = false;
+        this.pending_focus = null;
+        this.tween_scale?.stop();
+        
+        // Reset focus orbit for next _bringToFront() call so 
+        // that it always starts at the same position
+        this.tween_orbit_rot.stop();
+        this.focus_orbit.rotation.y = 0;
+        
+        // Hide bg fade mask
+        new TWEEN.Tween(this.opacity_mask.material, this.tween_group)
+            .easing(TWEEN.Easing.Quadratic.In)
+            .to({opacity: 0}, 300).start(this.clock.now());
+    }
+}
+
+/**
+ * Class extending THREE.Mesh with additional functionality representing floating Cards.
+ * 
+ * @extends THREE.Mesh
+ */
+export class CardMesh extends THREE.Mesh {
+    /**
+     * Creates a THREE.Mesh plane object with vertical travel.
+     * Initial vertical travel direction is randomized (50%) either way.
+     * Mesh will change direction after reaching end.
+     * 
+     * @param {*} geometry - A Three.js geometry for the mesh.
+     * @param {*} material - A Three.js material for the mesh.
+     * @param {number} allowed_deviation - Maximum allowed vertical drifting distance, set to 0 for none.
+     * @param {TWEEN.Group} tween_group - Group the drift animation is added to, the global group if left out.
+     * @param {Function} random - Source of the drift time and direction, see random.js for a seeded one.
+     * @param {Object} clock - Clock the drift starts on, see clock.js. Must be the clock the group is updated with.
+     */
+    constructor(geometry, material, allowed_deviation, tween_group = undefined, random = Math.random, clock = REAL_CLOCK) {
+        super(geometry, material);
+        this.allowed_deviation = allowed_deviation;
+        this.tween_group = tween_group;
+        this.clock = clock;
+        const max_time = 10000; // Upper-bound of animation time
+        const min_time = 5000; // Lower-bound of animation time
+        const time = random() * (max_time - min_time) + min_time; // Pick a time in-between upper and lower time bound
+        const direction = random() < 0.5? 1 : -1;
+        this.bound = this.position.y + (Math.abs(allowed_deviation) * direction);
+        this.tween = new TWEEN.Tween(this.position, this.tween_group)
+            .to({y: -this.bound}, time)
+            .easing(TWEEN.Easing.Back.InOut)
+            .repeat(Infinity)
+            .yoyo(true)
+            .onRepeat(() => {
+                this.bound *= -1;
+            });
+        this.tween_init = new TWEEN.Tween(this.position, this.tween_group)
+            .to({y: this.bound}, time/2)
+            .easing(TWEEN.Easing.Back.Out)
+            .chain(this.tween)
+            .start(this.clock.now());
+    }
+
+    /**
+     * Starts vertical travel from the current position, unless already travelling.
+     */
+    startDrift() {
+        if (!this.tween_init.isPlaying() && !this.tween.isPlaying()) {
+            this.tween_init.start(this.clock.now());
+        }
+    }
+
+    /**
+     * Stops vertical travel, the mesh stays where it is.
+     */
+    stopDrift() {
+        this.tween_init.stop();
+        this.tween.stop();
+    }
+
+    /**
+     * Gives the card a subtle glow, used while the pointer is over it.
+     * 
+     * @param {boolean} hovered - Set to 'false' to remove the glow.
+     */
+    setHovered(hovered) {
+        this.material.emissive.setHex(hovered ? 0x2b1a07 : 0x000000);
+    }
+}
+
+/**
+ * Class used to click inside THREE.js.
+ */
+export class PickHelper {
+    constructor() {
+      this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * 
+     * @param {THREE.Vector2} normalized_position - 2D coordinates of the mouse, in normalized device coordinates (NDC), X and Y between -1 and 1.
+     * @param {THREE.Object3D} scene - The THREE.Scene/Object3D containing the relevant entities.
+     * @param {THREE.Camera} camera - Camera to raycast through.
+     * @returns The first/closest object intersected.
+     */
+    pick(normalized_position, scene, camera) {   
+      // Cast a ray through the frustum
+      this.raycaster.setFromCamera(normalized_position, camera);
+      // Get the list of objects the ray intersected
+      const intersectedObjects = this.raycaster.intersectObjects(scene.children);
+      if (intersectedObjects.length) {
+        // Pick the first object. It's the closest one
+        return intersectedObjects[0].object;
+      }
+    }
+
+    /**
+     * Picks an entity of an orbit, hits on children of an entity (e.g. its highlight) count as hits on the entity.
+     * Anything else, like the center object, the opacity mask or empty space, gives no entity.
+     * 
+     * @param {THREE.Vector2} normalized_position - 2D coordinates of the mouse, in normalized device coordinates (NDC), X and Y between -1 and 1.
+     * @param {Orbit} orbit - The orbit holding the entities.
+     * @param {THREE.Camera} camera - Camera to raycast through.
+     * @returns The entity hit, in main orbit or focused, or undefined.
+     */
+    pickEntity(normalized_position, orbit, camera) {
+      this.raycaster.setFromCamera(normalized_position, camera);
+      // Include the center object so that it hides entities behind it
+      const candidates = [orbit.center_obj, ...orbit.main_orbit.children, ...orbit.focus_orbit.children];
+      const intersectedObjects = this.raycaster.intersectObjects(candidates);
+      if (!intersectedObjects.length) {
+        return;
+      }
+
+      // Walk up to the top-level entity
+      let obj = intersectedObjects[0].object;
+      while (obj.parent !== null && obj.parent !== orbit.main_orbit && obj.parent !== orbit.focus_orbit) {
+        obj = obj.parent;
+      }
+
+      return obj.parent !== null ? obj : undefined;
+    }
+}
+
+/**
+ * Class turning horizontal pointer drags on an element into a spin with inertia.
+ * Also tells downward swipes apart from drags, taps are left to click events.
+ */
+export class DragHelper {
+    /**
+     * Create a drag helper, listens for pointer events right away.
+     * 
+     * @param {HTMLElement} element - Element to listen for pointer events on.
+     * @param {number} auto_speed - Spin speed in radians per second when nobody is dragging.
+     */
+    constructor(element, auto_speed) {
+        this.element        = element;
+        this.auto_speed     = auto_speed;
+        this.speed          = auto_speed; // Current spin speed in radians per second
+        this.rotation       = 0; // Accumulated spin in radians
+        this.gesture        = null; // Gesture in progress, see _onDown()
+        this.moved_at       = -Infinity; // Time the last drag or swipe ended, the click that follows is no click
+        this.threshold      = 10; // Pixels moved before a gesture counts as a drag or swipe
+        this.swipe_distance = 60; // Min pixels moved downwards for a swipe
+        this.release_time   = 0.8; // Seconds it roughly takes to get back to automatic speed after a drag
+
+        this.listeners      = new AbortController(); // Aborted by dispose()
+
+        // Called with the pointerup event and the gesture
+        this.onSwipeDown = null;
+
+        const signal = this.listeners.signal;
+        element.addEventListener('pointerdown', event => this._onDown(event), { signal });
+        element.addEventListener('pointermove', event => this._onMove(event), { signal });
+        element.addEventListener('pointerup', event => this._onUp(event), { signal });
+        element.addEventListener('pointercancel', () => {
+            this.gesture = null; // E.g. the browser took over to scroll the page
+        }, { signal });
+    }
+
+    /**
+     * Stops listening for pointer events.
+     */
+    dispose() {
+        this.listeners.abort();
+        this.gesture = null;
+    }
+
+    /**
+     * Advances the spin, call once per frame.
+     * 
+     * @param {number} delta - Seconds since the last update.
+     * @returns The accumulated spin in radians.
+     */
+    update(delta) {
+        if (this.gesture?.type !== 'drag') {
+            // Ease back to automatic speed, stays in step with the pointer while dragging
+            this.speed += (this.auto_speed - this.speed) * (1 - Math.exp(-delta / this.release_time));
+            this.rotation += this.speed * delta;
+        }
+
+        return this.rotation;
+    }
+
+    _onDown(event) {
+        if (!event.isPrimary) {
+            return;
+        }
+
+        this.gesture = {
+            type: 'pending', // Becomes 'drag' (horizontal) or 'vertical' once moved past the threshold
+            start_x: event.clientX,
+            start_y: event.clientY,
+            last_x: event.clientX,
+            last_time: event.timeStamp,
+        };
+        this.element.setPointerCapture(event.pointerId);
+    }
+
+    _onMove(event) {
+        const gesture = this.gesture;
+        if (gesture === null || !event.isPrimary) {
+            return;
+        }
+
+        const dx = event.clientX - gesture.start_x;
+        const dy = event.clientY - gesture.start_y;
+        if (gesture.type === 'pending' && Math.hypot(dx, dy) > this.threshold) {
+            gesture.type = Math.abs(dx) > Math.abs(dy) ? 'drag' : 'vertical';
+        }
+
+        if (gesture.type === 'drag') {
+            // Dragging across the whole element is half a turn
+            const step = (event.clientX - gesture.last_x) / this.element.clientWidth * Math.PI;
+            const time = (event.timeStamp - gesture.last_time) / 1000;
+            this.rotation += step;
+            if (time > 0) {
+                this.speed = 0.5 * this.speed + 0.5 * (step / time); // Smoothed, single events are jittery
+            }
+
+            gesture.last_x = event.clientX;
+            gesture.last_time = event.timeStamp;
+        }
+    }
+
+    _onUp(event) {
+        const gesture = this.gesture;
+        if (gesture === null || !event.isPrimary) {
+            return;
+        }
+
+        this.gesture = null;
+        if (gesture.type !== 'pending') {
+            this.moved_at = event.timeStamp;
+        }
+
+        if (gesture.type === 'vertical' && event.clientY - gesture.start_y > this.swipe_distance) {
+            this.onSwipeDown?.(event, gesture);
+        }
+
+        else if (gesture.type === 'drag' && event.timeStamp - gesture.last_time > 100) {
+            this.speed = 0; // Pointer was held still before letting go, no fling
+        }
+    }
+}
+
+/**
+ * Class for entities built from a 3D model rather than a flat card, e.g. loaded from a glTF file.
+ * Drifts like a card, the model is added with setModel() once loaded.
+ * 
+ * @extends CardMesh
+ */
+export class ModelEntity extends CardMesh {
+    /**
+     * Creates an empty entity, it holds no geometry of its own.
+     * 
+     * @param {number} height - Height the model is scaled to.
+     * @param {number} allowed_deviation - Maximum allowed vertical drifting distance, set to 0 for none.
+     * @param {TWEEN.Group} tween_group - Group the drift animation is added to, the global group if left out.
+     * @param {Function} random - Source of the drift time and direction, see CardMesh.
+     * @param {Object} clock - Clock the drift starts on, see CardMesh.
+     */
+    constructor(height, allowed_deviation, tween_group = undefined, random = Math.random, clock = REAL_CLOCK) {
+        super(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial({ visible: false }), allowed_deviation, tween_group, random, clock);
+        this.height = height;
+        this.model = null; // Wrapper of the loaded model
+        this.emissive = new Map(); // Material -> emissive color before hovering
+    }
+
+    /**
+     * Places a model in the entity, centered and scaled to the height of the entity.
+     * 
+     * @param {THREE.Object3D} model - The model, e.g. the scene of a loaded glTF file.
+     */
+    setModel(model) {
+        const bounds = new THREE.Box3().setFromObject(model);
+        const size = bounds.getSize(new THREE.Vector3());
+        model.position.sub(bounds.getCenter(new THREE.Vector3()));
+
+        // Wrapper keeps the transform of the model itself untouched
+        this.model = new THREE.Group();
+        this.model.scale.setScalar(size.y > 0 ? this.height / size.y : 1);
+        this.model.add(model);
+        model.traverse(object => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+
+        this.add(this.model);
+    }
+
+    /**
+     * Gives the model a subtle glow, used while the pointer is over it.
+     * 
+     * @param {boolean} hovered - Set to 'false' to remove the glow.
+     */
+    setHovered(hovered) {
+        this.model?.traverse(object => {
+            [object.material ?? []].flat().filter(material => material.emissive !== undefined).forEach(material => {
+                if (hovered) {
+                    if (!this.emissive.has(material)) {
+                        this.emissive.set(material, material.emissive.getHex());
+                    }
+
+                    material.emissive.setHex(0x2b1a07);
+                }
+
+                else if (this.emissive.has(material)) {
+                    material.emissive.setHex(this.emissive.get(material));
+                    this.emissive.delete(material);
+                }
+            });
+        });
+    }
+
+    /**
+     * Frees the model, the entity can't be shown afterwards.
+     */
+    dispose() {
+        if (this.model !== null) {
+            disposeObject(this.model);
+            this.model.removeFromParent();
+            this.model = null;
+        }
+
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
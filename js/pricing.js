@@ -0,0 +1,225 @@
+import { getLanguage, t, translateDocument } from './i18n.js';
+
+/**
+ * Fetches and checks the price configuration, see data/pricing.json:
+ * {currency, vat, start_fee, hosting, tiers: [{min, max, price}, ...], contracts: [months, ...]}.
+ * Tiers are priced per employee and month, in order and without gaps. Above the last tier prices are quoted.
+ *
+ * @param {string} url - Path to the JSON configuration.
+ * @returns Promise resolving to the configuration, or 'null' if it is missing or invalid.
+ */
+export async function loadPricing(url) {
+    let pricing;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        pricing = await response.json();
+    }
+
+    catch (error) {
+        console.error(`Price configuration '${url}' could not be loaded: ${error.message}`);
+        return null;
+    }
+
+    const errors = validatePricing(pricing);
+    if (errors.length) {
+        console.error(`Price configuration '${url}' is invalid: ${errors.join('; ')}.`);
+        return null;
+    }
+
+    return pricing;
+}
+
+/**
+ * Checks a price configuration.
+ *
+ * @param {Object} pricing - The configuration.
+ * @returns Array of error messages, empty if the configuration is valid.
+ */
+export function validatePricing(pricing) {
+    if (pricing === null || typeof pricing !== 'object') {
+        return ['configuration is not an object'];
+    }
+
+    const errors = [];
+    if (typeof pricing.currency !== 'string') {
+        errors.push(`'currency' must be a currency code, e.g. 'SEK'`);
+    }
+
+    ['vat', 'start_fee', 'hosting'].filter(field => !(typeof pricing[field] === 'number' && pricing[field] >= 0)).forEach(field => {
+        errors.push(`'${field}' must be a number, at least 0`);
+    });
+
+    if (!Array.isArray(pricing.tiers) || !pricing.tiers.length) {
+        errors.push(`'tiers' must be a non-empty array`);
+    }
+
+    else {
+        pricing.tiers.forEach((tier, i) => {
+            if (tier === null || typeof tier !== 'object') {
+                errors.push(`tier #${i} must be an object {min, max, price}`);
+                return;
+            }
+
+            // Follows on from the tier before, unless that one is invalid and reported already
+            const previous = pricing.tiers[i - 1];
+            const min = i === 0 ? 1 : previous?.max + 1;
+            if ((Number.isInteger(min) && tier.min !== min) || !Number.isInteger(tier.max) || tier.max < tier.min || !(tier.price >= 0)) {
+                errors.push(`tier #${i} must be {min: ${Number.isInteger(min) ? min : 'max of the tier before + 1'}, max, price} with 'max' at least 'min' and 'price' at least 0`);
+            }
+        });
+    }
+
+    if (!Array.isArray(pricing.contracts) || !pricing.contracts.length || !pricing.contracts.every(months => Number.isInteger(months) && months > 0)) {
+        errors.push(`'contracts' must be a non-empty array of months`);
+    }
+
+    return errors;
+}
+
+/**
+ * Works out the cost for a company, the start fee is paid in the first month.
+ *
+ * @param {Object} pricing - Price configuration, see loadPricing().
+ * @param {number} employees - Number of employees, a whole number of at least 1.
+ * @param {number} months - Length of the contract in months.
+ * @param {boolean} vat - Set to 'true' to include VAT.
+ * @returns The cost {monthly, first_year, total, tier}, or 'null' above the last tier where prices are quoted.
+ */
+export function calculatePrice(pricing, employees, months, vat = false) {
+    const tier = pricing.tiers.find(tier => employees >= tier.min && employees <= tier.max);
+    if (tier === undefined) {
+        return null;
+    }
+
+    const factor = vat ? 1 + pricing.vat : 1;
+    const monthly = (employees * tier.price + pricing.hosting) * factor;
+    const start_fee = pricing.start_fee * factor;
+
+    return {
+        monthly,
+        first_year: start_fee + monthly * Math.min(months, 12),
+        total: start_fee + monthly * months,
+        tier,
+    };
+}
+
+/**
+ * Class running a price calculator: number of employees, contract length and VAT in, monthly,
+ * first year and total cost out. Above the last tier it offers a quote instead.
+ * The markup is added to the given element, so there can be several, e.g. on the page and in the detail view.
+ */
+export class PriceCalculator {
+    /**
+     * @param {HTMLElement} element - Element the calculator is added to, after what it already holds.
+     * @param {Object} pricing - Price configuration, see loadPricing().
+     * @param {Function} onQuote - Called with the number of employees when a quote is asked for.
+     */
+    constructor(element, pricing, onQuote) {
+        this.element = element;
+        this.pricing = pricing;
+        this.onQuote = onQuote;
+
+        element.insertAdjacentHTML('beforeend', `
+            <form class="price_calculator" novalidate>
+                <label>
+                    <span data-i18n="pricing.employees"></span>
+                    <input name="employees" type="number" min="1" step="1" inputmode="numeric" value="${pricing.tiers[0].min}">
+                </label>
+                <label>
+                    <span data-i18n="pricing.contract"></span>
+                    <select name="months">${pricing.contracts.map(months => `<option value="${months}"></option>`).join('')}</select>
+                </label>
+                <label class="price_calculator_vat">
+                    <input name="vat" type="checkbox">
+                    <span data-i18n="pricing.vat"></span>
+                </label>
+                <div class="price_calculator_result" aria-live="polite">
+                    <dl>
+                        <dt data-i18n="pricing.monthly"></dt><dd data-cost="monthly"></dd>
+                        <dt data-i18n="pricing.first_year"></dt><dd data-cost="first_year"></dd>
+                        <dt data-i18n="pricing.total"></dt><dd data-cost="total"></dd>
+                    </dl>
+                    <p class="price_calculator_note"></p>
+                </div>
+                <div class="price_calculator_quote" aria-live="polite" hidden>
+                    <p></p>
+                    <button type="button" data-i18n="pricing.quote_button"></button>
+                </div>
+            </form>`);
+
+        this.form = element.querySelector('form.price_calculator');
+        this.form.addEventListener('input', () => this.update());
+        this.form.addEventListener('submit', event => event.preventDefault()); // Enter in the field
+        this.form.querySelector('.price_calculator_quote button').addEventListener('click', () => {
+            this.onQuote?.(this.employees);
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * @returns The number of employees entered, 'NaN' unless it is a whole number of at least 1.
+     */
+    get employees() {
+        const employees = Number(this.form.elements.employees.value);
+        return Number.isInteger(employees) && employees >= 1 ? employees : NaN;
+    }
+
+    /**
+     * Updates every text to the current language.
+     */
+    refresh() {
+        translateDocument(this.element);
+        [...this.form.elements.months.options].forEach(option => {
+            option.textContent = t('pricing.months', { months: option.value });
+        });
+
+        this.update();
+    }
+
+    /**
+     * Shows the cost of what is entered.
+     */
+    update() {
+        const employees = this.employees;
+        const months = Number(this.form.elements.months.value);
+        const vat = this.form.elements.vat.checked;
+        const cost = Number.isNaN(employees) ? null : calculatePrice(this.pricing, employees, months, vat);
+        const quote = !Number.isNaN(employees) && cost === null;
+
+        this.form.elements.employees.setAttribute('aria-invalid', Number.isNaN(employees) && this.form.elements.employees.value !== '');
+        this.form.querySelector('.price_calculator_result').hidden = quote;
+        this.form.querySelector('.price_calculator_quote').hidden = !quote;
+
+        if (quote) {
+            const max = this.pricing.tiers[this.pricing.tiers.length - 1].max;
+            this.form.querySelector('.price_calculator_quote p').textContent = t('pricing.quote', { max });
+            return;
+        }
+
+        this.form.querySelectorAll('[data-cost]').forEach(element => {
+            element.textContent = cost !== null ? this.format(cost[element.dataset.cost]) : '–';
+        });
+
+        this.form.querySelector('.price_calculator_note').textContent = cost !== null
+            ? t(vat ? 'pricing.note_vat' : 'pricing.note', { start_fee: this.format(this.pricing.start_fee * (vat ? 1 + this.pricing.vat : 1)) })
+            : t('pricing.invalid');
+    }
+
+    /**
+     * @param {number} amount - Amount in the currency of the configuration.
+     * @returns The amount written out in the current language, in whole units.
+     */
+    format(amount) {
+        return new Intl.NumberFormat(getLanguage(), {
+            style: 'currency',
+            currency: this.pricing.currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0,
+        }).format(amount);
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Rendering quality levels, from cheapest to finest. 'high' is how the scene was always rendered.
+ * The pixel ratio is capped by the ratio of the display, see applyQuality() in showcase.js.
+ */
+export const QUALITY_LEVELS = [
+    { name: 'low',    pixel_ratio: 0.75, shadows: false, sphere_segments: 32 },
+    { name: 'medium', pixel_ratio: 1,    shadows: false, sphere_segments: 64 },
+    { name: 'high',   pixel_ratio: 1,    shadows: true,  sphere_segments: 128 },
+    { name: 'ultra',  pixel_ratio: 2,    shadows: true,  sphere_segments: 128 },
+];
+
+const MAX_PATIENCE = 60; // Upper bound of the quick measurements needed to step up after stepping down
+const STEADY_TIME = 30; // Measurements without a slow one after which stepping down is forgiven
+
+/**
+ * Class measuring frame times and stepping the quality level down when frames take too long,
+ * and back up once they have been quick for a while.
+ */
+export class QualityGovernor {
+    /**
+     * @param {Function} onChange - Called with the new level, an entry of QUALITY_LEVELS, whenever it changes.
+     * @param {Object} options - Optional settings:
+     * 'level' name of the level to start at ('high' by default), 'adaptive' set to 'false' to stay at it,
+     * 'window' frames per measurement, 'slow' and 'fast' average frame times in milliseconds that step the level
+     * down or up, 'patience' quick measurements in a row needed to step up.
+     */
+    constructor(onChange, options = {}) {
+        this.onChange = onChange;
+        this.index    = Math.max(0, QUALITY_LEVELS.findIndex(level => level.name === (options.level ?? 'high')));
+        this.adaptive = options.adaptive ?? true;
+        this.window   = options.window ?? 60;
+        this.slow     = options.slow ?? 1000/45;
+        this.fast     = options.fast ?? 1000/55;
+        this.patience = options.patience ?? 5;
+        this.backoff  = 1; // Factor on the patience, doubles with every step down, see sample()
+        this.samples  = []; // Frame times of the current measurement
+        this.quick    = 0; // Quick measurements in a row
+        this.steady   = 0; // Measurements in a row that were not slow
+    }
+
+    /**
+     * @returns The current level, an entry of QUALITY_LEVELS.
+     */
+    get level() {
+        return QUALITY_LEVELS[this.index];
+    }
+
+    /**
+     * Records the time a frame took, the level is adjusted once a measurement is complete.
+     *
+     * @param {number} frame_time - Time since the previous frame in milliseconds.
+     */
+    sample(frame_time) {
+        if (!this.adaptive) {
+            return;
+        }
+
+        this.samples.push(Math.min(frame_time, 100)); // A single stall says little about the device
+        if (this.samples.length < this.window) {
+            return;
+        }
+
+        const average = this.samples.reduce((sum, time) => sum + time, 0) / this.samples.length;
+        this.samples = [];
+
+        if (average > this.slow) {
+            this.quick = 0;
+            this.steady = 0;
+            this.backoff *= 2; // Stepping back up is what got us here, be slower about it
+            this._step(-1);
+            return;
+        }
+
+        // Back to the base patience once the level has held for a while
+        if (++this.steady >= STEADY_TIME) {
+            this.backoff = 1;
+        }
+
+        if (average < this.fast && ++this.quick >= Math.min(this.patience * this.backoff, MAX_PATIENCE)) {
+            this.quick = 0;
+            this.backoff = 1;
+            this._step(1);
+        }
+    }
+
+    /**
+     * Throws away the measurement in progress, e.g. after rendering was paused.
+     */
+    reset() {
+        this.samples = [];
+    }
+
+    _step(direction) {
+        const index = Math.min(Math.max(this.index + direction, 0), QUALITY_LEVELS.length - 1);
+        if (index === this.index) {
+            return;
+        }
+
+        this.index = index;
+        this.onChange(this.level);
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * Creates a source of random numbers that gives the same numbers for the same seed (mulberry32).
+ *
+ * @param {number} seed - Seed, used as a 32-bit integer.
+ * @returns Function returning a number in [0, 1) per call, like Math.random().
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Turns a seed given as text, e.g. from '?seed=demo', into a number for createRandom().
+ * Whole numbers are used as they are, other texts are hashed (FNV-1a).
+ *
+ * @param {string} text - The seed.
+ * @returns The seed as a 32-bit integer.
+ */
+export function parseSeed(text) {
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+
+    return hash >>> 0;
+}
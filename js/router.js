@@ -0,0 +1,67 @@
+/**
+ * Maps the view modes of the scene to URLs and back, used for deep-linking and browser history.
+ *
+ * Splash:      (no hash)
+ * Exploration: #/
+ * Focus:       #/<card slug>
+ * Detail:      #/<card slug>/details
+ */
+
+/**
+ * Turns a text into a URL friendly slug, e.g. 'Projektbrädan' -> 'projektbradan'.
+ *
+ * @param {string} text - Text to convert.
+ * @returns The slug.
+ */
+export function slugify(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip diacritics (å -> a, ä -> a, ö -> o)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reads a route from a location hash.
+ *
+ * @param {string} hash - Location hash, e.g. '#/projektbradan/details'.
+ * @returns Route object {mode, slug}, slug is only set for the 'focus' and 'detail' modes.
+ */
+export function parseRoute(hash) {
+    if (!hash.startsWith('#/')) {
+        return { mode: 'splash' };
+    }
+
+    const parts = hash.slice(2).split('/').filter(part => part.length);
+    if (!parts.length) {
+        return { mode: 'exploration' };
+    }
+
+    const slug = decodeURIComponent(parts[0]);
+    if (parts[1] === 'details') {
+        return { mode: 'detail', slug };
+    }
+
+    return { mode: 'focus', slug };
+}
+
+/**
+ * Builds the URL for a route, the inverse of parseRoute().
+ *
+ * @param {Object} route - Route object {mode, slug}.
+ * @returns URL relative to the current page.
+ */
+export function formatRoute(route) {
+    switch (route.mode) {
+        case 'exploration':
+            return '#/';
+        case 'focus':
+            return `#/${encodeURIComponent(route.slug)}`;
+        case 'detail':
+            return `#/${encodeURIComponent(route.slug)}/details`;
+        default:
+            // Splash, drop the hash completely
+            return location.pathname + location.search;
+    }
+}
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+/**
+ * Tunable values of the scene, as exported by the inspector (see inspector.js) and loaded at startup.
+ * Every part is optional, values left out keep what the scene was built with.
+ *
+ * light:      Spot light, {color, intensity, angle (degrees), penumbra, position: {x, y, z}, target: {x, y, z}}
+ * hemisphere: Hemisphere light, {sky_color, ground_color, intensity, position: {x, y, z}}
+ * shadow:     Shadow of the spot light, {near, far, zoom, bias, radius, map_size}
+ * sphere:     Material of the center sphere, {emissive, clearcoat, clearcoat_roughness, roughness, metalness}
+ * orbit:      {radius, focus_distance}, the focus point lies at 'focus_distance' times the radius
+ * timings:    In milliseconds, {animation} base time of the orbit animations and {camera_pan}
+ *
+ * Colors are hex strings, e.g. '#FF9B2A'.
+ */
+
+/**
+ * Fetches scene settings, see above.
+ *
+ * @param {string} url - Path to the JSON file.
+ * @returns Promise resolving to the settings, or 'null' if they could not be loaded.
+ */
+export async function loadSceneSettings(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const settings = await response.json();
+        if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('expected an object');
+        }
+
+        return settings;
+    }
+
+    catch (error) {
+        console.error(`Scene settings '${url}' could not be loaded: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Reads the current values of the scene.
+ *
+ * @param {Object} parts - The tunable parts of the scene, {light, hemisphere, sphere_material, orbit, camera}.
+ * 'camera' is the camera settings of the showcase, holding 'pan_time'.
+ * @returns The settings, see above.
+ */
+export function readSceneSettings(parts) {
+    const { light, hemisphere, sphere_material, orbit, camera } = parts;
+    const round = value => Math.round(value * 10000) / 10000; // Keeps the export readable
+    const vector = v => ({ x: round(v.x), y: round(v.y), z: round(v.z) });
+
+    return {
+        light: {
+            color: `#${light.color.getHexString()}`,
+            intensity: round(light.intensity),
+            angle: round(THREE.MathUtils.radToDeg(light.angle)),
+            penumbra: round(light.penumbra),
+            position: vector(light.position),
+            target: vector(light.target.position),
+        },
+        hemisphere: {
+            sky_color: `#${hemisphere.color.getHexString()}`,
+            ground_color: `#${hemisphere.groundColor.getHexString()}`,
+            intensity: round(hemisphere.intensity),
+            position: vector(hemisphere.position),
+        },
+        shadow: {
+            near: round(light.shadow.camera.near),
+            far: round(light.shadow.camera.far),
+            zoom: round(light.shadow.camera.zoom),
+            bias: round(light.shadow.bias),
+            radius: round(light.shadow.radius),
+            map_size: light.shadow.mapSize.x,
+        },
+        sphere: {
+            emissive: `#${sphere_material.emissive.getHexString()}`,
+            clearcoat: round(sphere_material.clearcoat),
+            clearcoat_roughness: round(sphere_material.clearcoatRoughness),
+            roughness: round(sphere_material.roughness),
+            metalness: round(sphere_material.metalness),
+        },
+        orbit: {
+            radius: round(orbit.radius),
+            focus_distance: round(orbit.focus_dst_mult),
+        },
+        timings: {
+            animation: orbit.animation_time,
+            camera_pan: camera.pan_time,
+        },
+    };
+}
+
+/**
+ * Sets the scene to the given values.
+ *
+ * @param {Object} parts - The tunable parts of the scene, see readSceneSettings().
+ * @param {Object} settings - The settings, see above. Parts and values left out are kept.
+ */
+export function applySceneSettings(parts, settings) {
+    const { light, hemisphere, sphere_material, orbit, camera } = parts;
+    const { light: spot = {}, shadow = {}, sphere = {}, timings = {} } = settings;
+    const sky = settings.hemisphere ?? {};
+
+    setColor(light.color, spot.color);
+    setNumber(light, 'intensity', spot.intensity);
+    setNumber(light, 'angle', spot.angle !== undefined ? THREE.MathUtils.degToRad(spot.angle) : undefined);
+    setNumber(light, 'penumbra', spot.penumbra);
+    setVector(light.position, spot.position);
+    setVector(light.target.position, spot.target);
+    light.target.updateMatrixWorld();
+
+    setColor(hemisphere.color, sky.sky_color);
+    setColor(hemisphere.groundColor, sky.ground_color);
+    setNumber(hemisphere, 'intensity', sky.intensity);
+    setVector(hemisphere.position, sky.position);
+
+    setNumber(light.shadow.camera, 'near', shadow.near);
+    setNumber(light.shadow.camera, 'far', Math.max(shadow.far ?? light.shadow.camera.far, light.shadow.camera.near + 0.1));
+    setNumber(light.shadow.camera, 'zoom', shadow.zoom);
+    light.shadow.camera.updateProjectionMatrix();
+    setNumber(light.shadow, 'bias', shadow.bias);
+    setNumber(light.shadow, 'radius', shadow.radius);
+    if (Number.isFinite(shadow.map_size) && shadow.map_size !== light.shadow.mapSize.x) {
+        light.shadow.mapSize.set(shadow.map_size, shadow.map_size);
+        light.shadow.map?.dispose();
+        light.shadow.map = null; // Made again at the new size by the next render
+    }
+
+    setColor(sphere_material.emissive, sphere.emissive);
+    setNumber(sphere_material, 'clearcoat', sphere.clearcoat);
+    setNumber(sphere_material, 'clearcoatRoughness', sphere.clearcoat_roughness);
+    setNumber(sphere_material, 'roughness', sphere.roughness);
+    setNumber(sphere_material, 'metalness', sphere.metalness);
+
+    const radius = Number.isFinite(settings.orbit?.radius) ? settings.orbit.radius : orbit.radius;
+    const focus_distance = Number.isFinite(settings.orbit?.focus_distance) ? settings.orbit.focus_distance : orbit.focus_dst_mult;
+    if (radius !== orbit.radius || focus_distance !== orbit.focus_dst_mult) {
+        orbit.setRadius(radius, focus_distance);
+    }
+
+    setNumber(orbit, 'animation_time', timings.animation);
+    setNumber(camera, 'pan_time', timings.camera_pan);
+}
+
+function setNumber(obj, prop, value) {
+    if (Number.isFinite(value)) {
+        obj[prop] = value;
+    }
+}
+
+function setColor(color, value) {
+    if (typeof value === 'string') {
+        color.set(value);
+    }
+}
+
+function setVector(vector, value) {
+    if (value !== undefined) {
+        vector.set(value.x ?? vector.x, value.y ?? vector.y, value.z ?? vector.z);
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * State of the scene at the top of the page, as the views put it.
+ * 'pull' is the distance of the camera as a factor of its distance in the view, 'sphere' the size of the center sphere.
+ */
+export const SCENE_STATE = { pull: 1, sphere: 1 };
+
+// Data attribute of a section for each part of the state, e.g. 'data-scene-pull="2"'
+const ATTRIBUTES = { pull: 'scenePull', sphere: 'sceneSphere' };
+
+/**
+ * Selector of the sections declaring a scene state.
+ */
+export const SECTION_SELECTOR = '[data-scene-pull], [data-scene-sphere]';
+
+/**
+ * Class tying the state of the scene to the scroll position of the page.
+ *
+ * Sections below the scene declare the state they want through data attributes, see ATTRIBUTES.
+ * A state is reached once the top of its section reaches the top of the viewport, between two
+ * sections the states are blended. Parts a section leaves out keep the value of the section before.
+ */
+export class ScrollScene {
+    /**
+     * @param {HTMLElement[]} sections - Sections declaring a state, in the order of the page.
+     */
+    constructor(sections) {
+        this.sections  = sections;
+        this.keyframes = []; // Scroll position and state of each section, {at, state}
+        this.measure();
+    }
+
+    /**
+     * Finds where the sections are on the page, call whenever the layout changes.
+     */
+    measure() {
+        let state = { ...SCENE_STATE };
+        this.keyframes = [{ at: 0, state }];
+
+        this.sections.forEach(section => {
+            state = { ...state };
+            Object.entries(ATTRIBUTES).forEach(([key, attribute]) => {
+                const value = section.dataset[attribute];
+                if (value === undefined) {
+                    return;
+                }
+
+                if (!Number.isFinite(Number(value))) {
+                    console.warn(`Scene state '${key}' of '#${section.id}' should be a number, got '${value}'.`);
+                    return;
+                }
+
+                state[key] = Number(value);
+            });
+
+            this.keyframes.push({ at: Math.max(section.getBoundingClientRect().top + window.scrollY, 0), state });
+        });
+    }
+
+    /**
+     * @param {number} scroll_y - Scroll position of the page in pixels.
+     * @returns State of the scene at the position, {pull, sphere}.
+     */
+    stateAt(scroll_y) {
+        const next = this.keyframes.findIndex(keyframe => keyframe.at > scroll_y);
+        if (next === -1) {
+            return this.keyframes[this.keyframes.length - 1].state; // Past the last section
+        }
+
+        if (next === 0) {
+            return this.keyframes[0].state;
+        }
+
+        const from = this.keyframes[next - 1];
+        const to = this.keyframes[next];
+        const amount = (scroll_y - from.at) / (to.at - from.at);
+
+        const state = {};
+        Object.keys(SCENE_STATE).forEach(key => {
+            state[key] = from.state[key] + (to.state[key] - from.state[key]) * amount;
+        });
+
+        return state;
+    }
+}
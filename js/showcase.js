@@ -0,0 +1,1516 @@
+import * as THREE from 'three';
+import WebGL from 'three/addons/capabilities/WebGL.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { Orbit, CardMesh, ModelEntity, PickHelper, DragHelper } from './orbit.js';
+import { AssetCache, disposeObject } from './assets.js';
+import { CardFace } from './card_face.js';
+import { createCardMedia } from './card_media.js';
+import { loadCards } from './cards.js';
+import { parseRoute, formatRoute } from './router.js';
+import { localize, t } from './i18n.js';
+import { MotionPolicy } from './motion.js';
+import { CardCarousel } from './fallback.js';
+import { GuidedTour } from './tour.js';
+import { QualityGovernor } from './quality.js';
+import { ViewStateMachine } from './view_state.js';
+import { ScrollScene, SCENE_STATE, SECTION_SELECTOR } from './scroll_scene.js';
+import { PriceCalculator } from './pricing.js';
+import { applySceneSettings, loadSceneSettings } from './scene_settings.js';
+import { ManualClock, REAL_CLOCK } from './clock.js';
+import { createRandom } from './random.js';
+// import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+/**
+ * Settings of a showcase, every part can be overridden through the options of createOrbitShowcase().
+ */
+const DEFAULTS = {
+    cards: 'data/cards.json', // URL of a card manifest, or an array of validated card data
+    radius: 6.5, // Radius of the orbit
+    camera: {
+        fov: 75,
+        splash: { position: {x: -5, y: 0, z: 15}, target: {x: -10, y: 0, z: -10} },
+        exploration: { position: {x: 0, y: 0, z: 10.5}, target: {x: 0, y: 0, z: 0} },
+        pan_time: 2000, // Milliseconds a camera pan between views takes
+    },
+    colors: {
+        background: '#192633',
+        sphere: 0xFF9B2A, // Glow of the center sphere
+        highlight: 0xFF9B2A, // Border of the focused card
+    },
+    motion: null, // MotionPolicy to follow, a new one if left out
+    analytics: null, // Analytics recording the interactions, see analytics.js, nothing is recorded if left out
+    onDemoRequest: null, // Called with the data of the focused card, and values for the form such as {employees}, when a demo or a quote is asked for in the detail view
+    pricing: null, // Price configuration shown by cards with the 'pricing' widget, see pricing.js
+    tour: {
+        autostart: false, // Start the guided tour right away, e.g. on a kiosk
+        idle_timeout: null, // Milliseconds without input before the tour starts, 'null' for never
+        focus_time: 3000, // Milliseconds each card is shown before its details open
+        reading_time: 10000, // Milliseconds the details are shown
+    },
+    scroll_scene: true, // Ties the camera and the sphere to the scroll position of the page, see scroll_scene.js
+    quality: 'auto', // Rendering quality, 'auto' adapts it to the frame rate, or one of 'low', 'medium', 'high' and 'ultra', see quality.js
+    settings: null, // Tuned lights, materials, orbit and timings, an object or the URL of a JSON file exported by the inspector, see scene_settings.js. Options passed to the showcase win over it
+    clock: null, // Clock the animations run on, see clock.js. With a ManualClock nothing moves until step() is called, e.g. in headless tests
+    seed: null, // Seed of the drift of the cards, see random.js, the drift differs on every load if left out
+    tween_group: null, // TWEEN.Group the animations are added to, a new one if left out. It is emptied on dispose
+    debug: false, // Shows a counter of live geometries, textures and animations and the frame rate, to catch leaks, and the inspector
+    routing: true, // Whether the views are kept in the URL, only one showcase per page should do so
+};
+
+// Scene settings each option covers, {option: [part, value]}, see scene_settings.js
+const SETTINGS_OPTIONS = {
+    'radius': ['orbit', 'radius'],
+    'colors.sphere': ['sphere', 'emissive'],
+    'camera.pan_time': ['timings', 'camera_pan'],
+};
+
+/**
+ * Leaves out the scene settings that are set through the options of the showcase, the options come last.
+ * 
+ * @param {Object} settings - Scene settings, see scene_settings.js.
+ * @param {Object} options - Options passed to createOrbitShowcase(), not merged with the defaults.
+ * @returns The settings without the values the options set.
+ */
+function withoutOptions(settings, options) {
+    const result = { ...settings };
+    Object.entries(SETTINGS_OPTIONS).forEach(([option, [part, key]]) => {
+        const value = option.split('.').reduce((obj, name) => obj?.[name], options);
+        if (value !== undefined && result[part]?.[key] !== undefined) {
+            result[part] = { ...result[part] };
+            delete result[part][key];
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Builds the orbit showcase: the 3D scene with its cards, the menu, the detail view and the render loop.
+ * 
+ * The container must hold the markup of the showcase, see '#threejs_sec' in index.html. 
+ * Elements are only looked up inside the container, so the showcase can be created again, 
+ * e.g. on another page of a single-page app, once the previous one is disposed of.
+ * 
+ * @param {HTMLElement} container - Element holding the markup of the showcase.
+ * @param {Object} options - Settings, see DEFAULTS. Nested objects are merged with the defaults.
+ * @returns Promise resolving to the showcase, {orbit, addCard, removeCard, refresh, step, dispose}.
+ */
+export async function createOrbitShowcase(container, options = {}) {
+    const config = {
+        ...DEFAULTS,
+        ...options,
+        camera: { ...DEFAULTS.camera, ...options.camera },
+        colors: { ...DEFAULTS.colors, ...options.colors },
+        tour: { ...DEFAULTS.tour, ...options.tour },
+    };
+
+    const [cards_data, settings] = await Promise.all([
+        typeof config.cards === 'string' ? loadCards(config.cards) : [...config.cards],
+        typeof config.settings === 'string' ? loadSceneSettings(config.settings) : config.settings,
+    ]);
+
+    const canvas = container.querySelector('#main_canvas');
+    const info_block = container.querySelector('.info_block_wrapper');
+    const nav_menu = container.querySelector('#menu');
+    const exit_cross = container.querySelector('#exit_cross');
+    const threejs_sec = container;
+    const announcer = container.querySelector('#announcer');
+    const card_tooltip = container.querySelector('#card_tooltip');
+    const media_toggle = container.querySelector('.media_toggle');
+
+    let detail_opener = null; // Element that had keyboard focus before the info block opened
+    let camera_tweens = []; // Running camera pan, see panCamera()
+    let camera_timer = null; // Pending cut to a new view when motion is reduced, see panCamera()
+    let menu_source = 'menu'; // Source of the next focus change through the menu, see setupMenu()
+    let frame = null; // Id of the requested animation frame, 'null' while rendering is suspended
+    let dwell = null; // Card looked at and since when, {slug, start}, see startDwell()
+    let price_calculator = null; // Calculator of the detail view, built once a card shows it, see fillInfoBlock()
+    let disposed = false;
+
+    const motion = config.motion ?? new MotionPolicy();
+    const analytics = config.analytics;
+    const clock = config.clock ?? REAL_CLOCK;
+    const manual = clock instanceof ManualClock; // Frames are only rendered by step()
+    const random = config.seed !== null ? createRandom(config.seed) : Math.random; // Drift of the cards
+    const tween_group = config.tween_group ?? new TWEEN.Group(); // Every animation of the showcase, updated by render()
+    const assets = new AssetCache(); // Textures and materials shared between cards and the orbit
+    const gltf_loader = new GLTFLoader(); // Loads the models of model cards
+    const listeners = new AbortController(); // Aborted by dispose(), removes every listener added below
+    const signal = listeners.signal;
+    const view = new ViewStateMachine(viewActions(), onViewChange); // Current view, every change of it goes through here
+
+    // Transistion setups
+        // Exit splash screen
+    threejs_sec.addEventListener('click', onSplashClick, { once: true, signal });
+        // Exit detail mode
+    container.querySelector('.info_block_return').addEventListener('click', () => view.go('focus', view.card), { signal });
+    container.querySelector('.info_block_demo').addEventListener('click', () => {
+        const data = cards_data.find(obj => obj.id === view.card);
+        track('demo_click', { source: 'detail', card: data.slug });
+        config.onDemoRequest?.(data);
+    }, { signal });
+        // Play/pause of moving cards in detail mode
+    media_toggle.addEventListener('click', () => toggleMedia(), { signal });
+        // Exit focus mode
+    exit_cross.addEventListener('click', () => view.go('exploration'), { signal });
+        // Browser back/forward
+    if (config.routing) {
+        window.addEventListener('popstate', () => applyRoute(parseRoute(location.hash)), { signal });
+    }
+        // Keyboard navigation
+    window.addEventListener('keydown', handleKeydown, { signal });
+    
+    // Takes data and renders onto canvas, stays 'null' if WebGL is unavailable
+    const renderer = createRenderer();
+    
+    // Camera setup
+    const fov    = config.camera.fov;
+    const aspect = 2;
+    const near   = 0.1;
+    const far    = 100;
+    const camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
+    const camera_target = { ...config.camera.splash.target };
+    camera.position.copy(config.camera.splash.position);
+    camera.up.set(0, 1, 0); // Set camera up direction, needed for lookAt()
+    camera.lookAt(camera_target.x, camera_target.y, camera_target.z); // Point camera towards target
+    const view_camera = camera.clone(); // Where the view puts the camera, the camera pulls back from it as the page scrolls, see placeCamera()
+
+    // Controls setup
+    // const controls = new OrbitControls(camera, renderer.domElement);
+
+    // Scene setup
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(config.colors.background);
+
+    // Light setup
+    const color = 0xFFFFFF;
+    const intensity = 0.35;
+    const light = new THREE.SpotLight(color, intensity);
+    light.position.set(0, 2, 30);
+    light.target.position.set(0, 0, 0);
+    light.angle = 20*Math.PI/180;
+    light.castShadow = true;
+    light.shadow.bias = -0.0003;
+    light.penumbra = 1.00;
+    light.shadow.camera.near = 15;
+    light.shadow.camera.far = 38;
+    light.shadow.camera.zoom = 1.6;
+
+    scene.add(light);
+    scene.add(light.target);
+
+    const skyColor = 0xFFFFFF;
+    const groundColor = 0x000000;
+    const intensity2 = 0.6;
+    const light2 = new THREE.HemisphereLight(skyColor, groundColor, intensity2);
+    light2.position.set(0, 14, 12);
+
+    scene.add(light2);
+
+    // Rendering quality, adapted to the frame rate unless set
+    const quality = new QualityGovernor(applyQuality, {
+        level: config.quality === 'auto' ? 'high' : config.quality,
+        adaptive: config.quality === 'auto',
+    });
+
+    // Orbit, Sphere and cards setup
+    const sphere_radius = 4;
+    const sphere_segments = quality.level.sphere_segments;
+    const sphere_geometry = new THREE.SphereGeometry(sphere_radius, sphere_segments, sphere_segments);
+    const sphere_material = new THREE.MeshPhysicalMaterial({
+        clearcoat: 1.00,
+        clearcoatRoughness: 0.60,
+        roughness: 0.75,
+        metalness: 0.85,
+        emissive: config.colors.sphere
+    });
+    const sphere = new THREE.Mesh(sphere_geometry, sphere_material);
+    sphere.receiveShadow = true;
+    sphere.castShadow = true;
+
+    // Without WebGL the cards are shown in a flat carousel, it stands in for the orbit
+    const orbit = renderer !== null
+        ? new Orbit(view_camera, config.radius, sphere, undefined, undefined, tween_group, clock, assets)
+        : new CardCarousel(container.querySelector('#fallback_carousel'));
+
+    if (renderer !== null) {
+        applyQuality(quality.level);
+        orbit.highlight_color = config.colors.highlight;
+        const cards = generateCards(cards_data);
+        cards.forEach((card, i) => {
+            cards_data[i].id = card.id; // Append generated card id to card data
+
+            card.receiveShadow = true;
+            card.castShadow = true;
+            orbit.add(card, 0, true);
+        });
+
+        scene.add(orbit.getSystem());
+    }
+
+    else {
+        cards_data.forEach(data => watchMedia(orbit.add(data).media)); // Sets the id of the data
+
+        orbit.onSelect = selectCard;
+        canvas.setAttribute('aria-hidden', 'true'); // Nothing is drawn, the carousel speaks for itself
+    }
+
+    // Tunable parts of the scene, set to the tuned values if there are any, see scene_settings.js
+    const scene_parts = { light, hemisphere: light2, sphere_material, orbit, camera: config.camera };
+    if (renderer !== null && settings !== null) {
+        applySceneSettings(scene_parts, withoutOptions(settings, options));
+    }
+
+    let last_time = clock.now() * 0.001; // Time of the last frame in seconds
+    let hovered = null; // Card under the mouse pointer
+
+    // Rendering is suspended while the canvas can't be seen, scrolled out of view or on a hidden tab
+    let in_view = true;
+    const view_observer = renderer !== null ? new IntersectionObserver(entries => {
+        in_view = entries[entries.length - 1].isIntersecting;
+        updateRendering();
+    }) : null;
+    view_observer?.observe(canvas);
+
+    // Scroll setup, the camera pulls back and the sphere shrinks away as the page scrolls on to the sections below
+    const scroll_scene = renderer !== null && config.scroll_scene ? new ScrollScene([...document.querySelectorAll(SECTION_SELECTOR)]) : null;
+    let scroll_state = SCENE_STATE; // Last state applied, see applyScrollState()
+    const layout_observer = scroll_scene !== null ? new ResizeObserver(() => scroll_scene.measure()) : null;
+    layout_observer?.observe(document.body); // Sections move with the window size, the language and images loading
+    document.addEventListener('visibilitychange', () => updateRendering(), { signal });
+
+    // Leak counter, see updateDebugCounter()
+    const debug_counter = config.debug ? document.createElement('output') : null;
+    let debug_updated_at = -Infinity;
+    let debug_frames = 0; // Frames since the counter was updated, for the frame rate
+    if (debug_counter !== null) {
+        debug_counter.className = 'debug_counter';
+        container.append(debug_counter);
+    }
+
+    // Inspector setup, lil-gui is only loaded when it is asked for
+    let inspector = null;
+    if (config.debug && renderer !== null) {
+        import('./inspector.js').then(({ Inspector }) => {
+            if (!disposed) {
+                inspector = new Inspector(scene, scene_parts);
+            }
+        }).catch(error => console.error(`Inspector could not be loaded: ${error.message}`));
+    }
+
+    // Click object picker setup
+    const pick_helper = new PickHelper();
+    const pick_pos = {x: 0, y: 0};
+
+    // Touch and drag setup, dragging sideways spins the orbit
+    const drag_helper = renderer !== null ? new DragHelper(canvas, 0.1) : null;
+
+    if (renderer !== null) {
+        const f_bound = handleClick.bind(orbit);
+        canvas.addEventListener('click', f_bound, { signal });
+        canvas.addEventListener('pointermove', handleHover, { signal });
+        canvas.addEventListener('pointerleave', () => setHovered(null), { signal });
+
+        drag_helper.onSwipeDown = handleSwipeDown;
+    }
+
+    // Vertical nav menu setup using Swiper.js
+    const swiper = setupMenu();
+    orbit.addEventListener('focusstart', event => syncMenu(event.entity.id)); // However the focus changed
+    orbit.addEventListener('focusstart', event => startDwell(event.entity.id));
+    orbit.addEventListener('unfocus', () => endDwell());
+    document.addEventListener('visibilitychange', () => {
+        // Time spent on another tab is no time spent looking at the card
+        if (document.hidden) {
+            endDwell();
+            analytics?.flush();
+        }
+
+        else if (orbit.focused !== null) {
+            startDwell(orbit.focused.id);
+        }
+    }, { signal });
+    orbit.addEventListener('orderchange', () => {
+        refreshMenu();
+        describeScene();
+    });
+
+    // Text alternative for the canvas
+    describeScene();
+
+    // Follow the motion policy, now and whenever it changes
+    applyMotionPolicy();
+    const stopFollowingMotion = motion.onChange(applyMotionPolicy);
+
+    // Guided tour setup, plays the cards by itself when asked to or when nobody is around
+    const tour = new GuidedTour({
+        order: () => orbit.getOrder(),
+        current: () => view.card,
+        focus: id => view.go('focus', id, { source: 'tour' }),
+        openDetails: () => {
+            if (view.card !== null) {
+                view.go('detail', view.card, { source: 'tour' });
+            }
+        },
+        closeDetails: () => {
+            if (view.card !== null) {
+                view.go('focus', view.card, { source: 'tour' });
+            }
+        },
+        leaveSplash: () => {
+            if (view.state === 'splash') {
+                view.go('exploration', null, { source: 'tour' });
+            }
+        },
+        canStart: () => threejs_sec.getBoundingClientRect().bottom >= window.innerHeight / 2 && document.querySelector('dialog[open]') === null,
+    }, config.tour);
+    tour.watchIdle();
+
+    // Go straight to the linked view, if any
+    if (config.routing) {
+        applyRoute(parseRoute(location.hash));
+    }
+
+    if (config.tour.autostart) {
+        tour.start();
+    }
+
+    updateRendering();
+
+    return { orbit, addCard, removeCard, refresh, step, dispose };
+
+    
+
+    //--- FUNCTIONS ---//
+
+
+
+    function setupMenu() {
+        // Build HTML
+        const parent = container.querySelector('.swiper-wrapper');
+        const card_ids = orbit.getOrder();
+        parent.innerHTML = menuSlides().join(''); // Replaces slides left by an earlier showcase
+
+        // Setup Swiper.js
+        const swiper = new Swiper(container.querySelector('.swiper'), {
+            enabled: false,
+            direction: 'vertical',
+            loop: true,
+            slidesPerView: Math.max(1, Math.floor(card_ids.length/2)), // Must be >= Menu items/2
+            grabCursor: true,
+            slideToClickedSlide: true,
+            mousewheel: {},
+            scrollbar: {
+                el: container.querySelector('.swiper-scrollbar'),
+                draggable: true,
+                snapOnRelease: true,
+            },
+            keyboard: false, // Arrow keys are handled by handleKeydown() for the whole scene
+        });
+    
+        // Update focused Three.js item to match active slide
+        swiper.on('slideChangeTransitionEnd', (event) => {
+            const active_slide = event.slides[event.activeIndex];
+            view.go('focus', Math.floor(Number(active_slide.dataset.id)), { source: menu_source });
+            menu_source = 'menu';
+        });
+
+        return swiper;
+    }
+
+    /**
+     * Builds the HTML of the menu slides in the current language, one per card in orbit order.
+     * 
+     * @returns Array of HTML strings.
+     */
+    function menuSlides() {
+        return orbit.getOrder().map(id => {
+            const title = localize(cards_data.find(obj => obj.id === id).title);
+            return `<div class="swiper-slide" data-id="${id}"><button type="button">${title}</button></div>`;
+        });
+    }
+
+    /**
+     * Rebuilds the menu slides, e.g. after a language change or when cards are added. 
+     * The active card stays active if it is still there.
+     */
+    function refreshMenu() {
+        const active_id = Number(swiper.slides[swiper.activeIndex]?.dataset.id);
+        const enabled = swiper.enabled;
+        swiper.enable(); // Disabled Swiper instances can't slide
+
+        const card_ids = orbit.getOrder();
+        swiper.params.slidesPerView = Math.max(1, Math.floor(card_ids.length/2));
+        swiper.removeAllSlides();
+        swiper.appendSlide(menuSlides());
+        swiper.slideToLoop(Math.max(card_ids.indexOf(active_id), 0), 0, false);
+
+        if (!enabled) {
+            swiper.disable();
+        }
+    }
+
+    /**
+     * Rebuilds everything on display in the current language, call after a language switch (see setLanguage() in i18n.js).
+     */
+    function refresh() {
+        refreshMenu();
+        describeScene();
+        orbit.refresh?.(); // Carousel only, the orbit has no text of its own besides the card faces
+
+        if (renderer !== null) {
+            orbit.order.forEach(card => card.userData.face?.draw());
+        }
+
+        if (view.state === 'detail') {
+            fillInfoBlock(cards_data.find(obj => obj.id === view.card));
+            updateMediaToggle();
+        }
+    }
+
+    /**
+     * Moves the clock forward and renders a single frame, only for a showcase on a ManualClock (see the 'clock' option).
+     * Frames are rendered even while the canvas can't be seen, the caller decides when the scene moves.
+     * 
+     * @param {number} ms - Milliseconds the frame takes, a 60 Hz frame if left out.
+     */
+    function step(ms = 1000 / 60) {
+        if (!manual) {
+            throw new Error('Only a showcase on a ManualClock can be stepped, see the clock option.');
+        }
+
+        if (renderer === null || disposed) {
+            return;
+        }
+
+        clock.advance(ms);
+        render();
+    }
+
+    /**
+     * Stops the showcase and frees everything it holds: the render loop, listeners, 
+     * the menu, animations and the geometries, materials and textures of the scene.
+     * The markup is left in place, back in the state index.html has it in.
+     */
+    function dispose() {
+        if (disposed) {
+            return;
+        }
+
+        disposed = true;
+        tour.dispose();
+        endDwell();
+        cancelAnimationFrame(frame);
+        view_observer?.disconnect();
+        layout_observer?.disconnect();
+        listeners.abort();
+        stopFollowingMotion();
+        drag_helper?.dispose();
+        swiper.destroy(true, true);
+        tween_group.removeAll();
+        camera_tweens = [];
+        clearTimeout(camera_timer);
+        resetMarkup();
+
+        debug_counter?.remove();
+        inspector?.dispose();
+
+        if (renderer !== null) {
+            orbit.order.forEach(card => {
+                card.userData.media?.dispose();
+                card.userData.media_texture?.dispose();
+            });
+
+            orbit.dispose(); // Frees the shared assets as well
+            disposeObject(scene);
+
+            renderer.dispose();
+        }
+
+        else {
+            orbit.dispose();
+        }
+    }
+
+    /**
+     * Puts the markup of the showcase back as index.html has it, so a new showcase can start from it.
+     */
+    function resetMarkup() {
+        container.querySelector('#splash').style.opacity = 1;
+        nav_menu.style.opacity = 0;
+        nav_menu.inert = true;
+        exit_cross.style.visibility = 'hidden';
+        info_block.style.opacity = '';
+        info_block.inert = true;
+        info_block.querySelector('.info_block_widget').hidden = true;
+        price_calculator?.form.remove(); // Built again by the next showcase
+        media_toggle.hidden = true;
+        card_tooltip.hidden = true;
+        threejs_sec.style.cursor = '';
+        canvas.style.cursor = '';
+        canvas.style.opacity = '';
+        canvas.style.touchAction = '';
+        canvas.removeAttribute('aria-hidden');
+    }
+
+    /**
+     * Creates a card for each media object. 
+     * 
+     * @param {Object[]} media_objs - Array of custom media objects, either images [{path: 'path/to/media', width: X, height: X}, ...] 
+     * structured faces [{face: {title, bullets, icon, accent}}, ...] or models [{model: 'path/to/model.glb'}, ...], see data/cards.json.
+     * @returns array of generated custom THREE.Object3D objects.
+     */
+    function generateCards(media_objs) {
+        const cards = [];
+        const card_height = 3;
+        media_objs.forEach(media_obj => {
+            if (media_obj.model !== undefined) {
+                cards.push(generateModel(media_obj, card_height));
+                return;
+            }
+
+            // Faces are drawn onto a canvas of their own, images are shared through the asset cache
+            const face = media_obj.face !== undefined ? new CardFace(media_obj) : null;
+            const map = face !== null ? new THREE.CanvasTexture(face.canvas) : assets.texture(media_obj.path);
+            if (face !== null) {
+                face.onDraw = () => {
+                    map.needsUpdate = true;
+                };
+            }
+
+            // Own material for every card as the hover glow is set per card
+            const material = new THREE.MeshPhongMaterial({
+                map,
+                side: THREE.FrontSide,
+                shadowSide: THREE.FrontSide,
+            });
+
+            // Combat blurriness at distance
+            const anisotropy = renderer.capabilities.getMaxAnisotropy();
+            material.map.anisotropy = anisotropy;
+            material.map.magFilter = THREE.LinearFilter;
+            material.map.minFilter = THREE.LinearMipmapLinearFilter;
+
+            const aspect = face !== null ? face.width / face.height : media_obj.width / media_obj.height;
+            const geometry = new THREE.PlaneGeometry(card_height * aspect, card_height);
+
+            const card = new CardMesh(geometry, material, 1.3, tween_group, random, clock);
+            card.userData.face = face; // Redrawn on language changes, see refresh()
+            card.userData.media = createCardMedia(media_obj); // Played by the orbit on focus
+            if (card.userData.media !== null) {
+                setupMediaTexture(card);
+            }
+
+            cards.push(card);
+        });
+
+        return cards;
+    }
+
+    /**
+     * Creates an entity for a model card, the model is loaded in the background and shows up once it's in.
+     * 
+     * @param {Object} media_obj - Card data with a 'model' entry, see data/cards.json.
+     * @param {number} height - Height the model is scaled to.
+     * @returns ModelEntity.
+     */
+    function generateModel(media_obj, height) {
+        const entity = new ModelEntity(height, 1.3, tween_group, random, clock);
+        entity.userData.face = null;
+        entity.userData.media = null;
+
+        gltf_loader.loadAsync(media_obj.model).then(gltf => {
+            if (disposed || !orbit.order.includes(entity)) {
+                disposeObject(gltf.scene); // Removed while loading
+                return;
+            }
+
+            entity.setModel(gltf.scene);
+            if (orbit.focused === entity && orbit.settled && orbit.show_highlight) {
+                orbit.addHighlight(entity); // Focused before the model was in, nothing to highlight back then
+            }
+        })
+        .catch(error => {
+            console.error(`Model '${media_obj.model}' could not be loaded: ${error.message}`);
+        });
+
+        return entity;
+    }
+
+    /**
+     * Gives a moving card a texture of its media, shown while it plays. The image of the card is the poster.
+     * 
+     * @param {CardMesh} card - Card with media in its userData.
+     */
+    function setupMediaTexture(card) {
+        const media = card.userData.media;
+        const poster = card.material.map;
+        const texture = media.element instanceof HTMLVideoElement
+            ? new THREE.VideoTexture(media.element)
+            : new THREE.CanvasTexture(media.element);
+
+        if (texture instanceof THREE.CanvasTexture) {
+            media.onDraw = () => {
+                texture.needsUpdate = true;
+            };
+        }
+
+        card.userData.media_texture = texture;
+        card.userData.poster = poster;
+        media.addEventListener('play', () => {
+            card.material.map = texture;
+            card.material.needsUpdate = true;
+        });
+        media.addEventListener('pause', () => {
+            card.material.map = poster;
+            card.material.needsUpdate = true;
+        });
+        watchMedia(media);
+    }
+
+    /**
+     * Keeps the play/pause button in step with media, however it is started or stopped.
+     * 
+     * @param {Object} media - Media of a card, see card_media.js. 'null' is ignored.
+     */
+    function watchMedia(media) {
+        media?.addEventListener('play', updateMediaToggle);
+        media?.addEventListener('pause', updateMediaToggle);
+    }
+
+    /**
+     * @returns Media of the focused card, 'null' if it doesn't move or nothing is focused.
+     */
+    function focusedMedia() {
+        if (orbit.focused === null) {
+            return null;
+        }
+
+        return (renderer !== null ? orbit.focused.userData.media : orbit.focused.media) ?? null;
+    }
+
+    // Used by the play/pause button of the detail view
+    function toggleMedia() {
+        const media = focusedMedia();
+        if (media?.playing) {
+            media.pause();
+        }
+
+        else {
+            media?.play();
+        }
+    }
+
+    // Shows the play/pause button in detail mode for moving cards, labelled after what it will do
+    function updateMediaToggle() {
+        const media = view.state === 'detail' ? focusedMedia() : null;
+        media_toggle.hidden = media === null;
+        if (media !== null) {
+            media_toggle.textContent = t(media.playing ? 'media.pause' : 'media.play');
+            media_toggle.setAttribute('aria-pressed', media.playing);
+        }
+    }
+
+    /**
+     * Adds a card to the running scene, e.g. when new content has loaded. The menu follows along.
+     * 
+     * @param {Object} data - Card data, validated and with a unique slug, see loadCards() in cards.js.
+     * @param {number} index - Position of the card in the orbit, defaults to last.
+     */
+    function addCard(data, index = cards_data.length) {
+        cards_data.push(data); // Before inserting, the menu is rebuilt from it
+
+        if (renderer !== null) {
+            const [card] = generateCards([data]);
+            card.receiveShadow = true;
+            card.castShadow = true;
+            data.id = card.id;
+            orbit.insertAt(index, card);
+        }
+
+        else {
+            watchMedia(orbit.insertAt(index, data).media); // Sets the id of the data
+        }
+    }
+
+    /**
+     * Removes a card from the running scene, a focused card is returned to the orbit first.
+     * 
+     * @param {number} id - Id of the card.
+     */
+    function removeCard(id) {
+        // Includes a card on its way into focus
+        if (view.card === id || view.target?.card === id) {
+            view.go('exploration');
+        }
+
+        if (hovered?.id === id) {
+            setHovered(null);
+        }
+
+        const card = orbit.remove(id);
+        if (card === null) {
+            return;
+        }
+
+        cards_data.splice(cards_data.findIndex(obj => obj.id === id), 1);
+        if (card instanceof ModelEntity) {
+            card.dispose();
+        }
+
+        else if (renderer !== null) {
+            if (card.userData.media !== null) {
+                card.userData.media.dispose();
+                card.userData.media_texture.dispose();
+                card.material.map = card.userData.poster; // Released below
+            }
+
+            if (card.userData.face !== null) {
+                card.material.map.dispose(); // Drawn for this card only
+            }
+
+            else {
+                assets.release(card.material.map);
+            }
+
+            card.geometry.dispose();
+            card.material.dispose();
+        }
+    }
+
+    /**
+     * Creates the WebGL renderer for the canvas.
+     * 
+     * @returns THREE.WebGLRenderer, or 'null' if WebGL is unavailable in the browser.
+     */
+    function createRenderer() {
+        if (!WebGL.isWebGLAvailable()) {
+            console.warn('WebGL is unavailable, showing cards without 3D.');
+            return null;
+        }
+
+        try {
+            const renderer = new THREE.WebGLRenderer({ antialias: true, canvas });
+            renderer.shadowMap.enabled = true;
+            renderer.toneMapping = THREE.NoToneMapping;
+            return renderer;
+        }
+
+        catch (error) {
+            // Context creation can still fail, e.g. when blocked by the GPU driver
+            console.warn(`WebGL context could not be created, showing cards without 3D. ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Resizes canvas if needed, fixes blocky rendering issues.
+     * 
+     * @param {THREE.WebGLRenderer} renderer - The Three.js renderer object.
+     * @returns 'true' if canvas was resized, else 'false'.
+     */
+    function resizeRendererToDisplaySize(renderer) {
+        const canvas = renderer.domElement;
+        const width  = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const pixel_ratio = renderer.getPixelRatio();
+        const needResize = canvas.width !== Math.floor(width * pixel_ratio) || canvas.height !== Math.floor(height * pixel_ratio);
+        if (needResize) {
+            renderer.setSize(width, height, false);
+        }
+
+        return needResize;
+    }
+
+    // Used for Three.js clicking
+    function getCanvasRelativePosition(event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * canvas.width  / rect.width,
+            y: (event.clientY - rect.top ) * canvas.height / rect.height,
+        };
+    }
+    
+    /**
+     * Finds the card under the pointer.
+     * 
+     * @param {Object} event - Pointer position, any object with clientX and clientY.
+     * @returns The card, in orbit or focused, or undefined if there is none.
+     */
+    function pickAt(event) {
+        const pos = getCanvasRelativePosition(event);
+        pick_pos.x = (pos.x / canvas.width ) *  2 - 1;
+        pick_pos.y = (pos.y / canvas.height) * -2 + 1;  // note we flip Y
+
+        return pick_helper.pickEntity(pick_pos, orbit, camera);
+    }
+
+    // Used for touch input, swiping down on the focused card returns it to orbit
+    function handleSwipeDown(event, gesture) {
+        if (view.state !== 'focus') {
+            return;
+        }
+
+        const picked = pickAt({ clientX: gesture.start_x, clientY: gesture.start_y });
+        if (picked !== undefined && picked.id === view.card) {
+            view.go('exploration');
+        }
+    }
+
+    // Used for Three.js clicking, a click on a card in orbit brings it into focus,
+    // a click on the focused card opens its details
+    function handleClick(event) {
+        if (event.timeStamp - drag_helper.moved_at < 100) { return; } // End of a drag
+
+        const picked = pickAt(event);
+        if (picked === undefined) {
+            return;
+        }
+
+        selectCard(picked.id);
+    }
+
+    // Used for Three.js hovering, cards that can be clicked get a glow and their title as a tooltip
+    function handleHover(event) {
+        if (event.pointerType !== 'mouse' || drag_helper.gesture !== null) {
+            return; // Touch has no hover, and nothing should light up mid-drag
+        }
+
+        const picked = view.state === 'splash' ? undefined : pickAt(event);
+        setHovered(picked ?? null);
+
+        if (hovered !== null) {
+            card_tooltip.style.left = `${event.clientX}px`;
+            card_tooltip.style.top = `${event.clientY}px`;
+        }
+    }
+
+    /**
+     * Moves the hover state to another card.
+     * 
+     * @param {THREE.Object3D} card - Card under the pointer, 'null' for none.
+     */
+    function setHovered(card) {
+        if (card === hovered) {
+            return;
+        }
+
+        // The focused card only gets the cursor, it already stands out
+        if (hovered !== null && hovered !== orbit.focused) {
+            hovered.setHovered(false);
+        }
+
+        hovered = card;
+        canvas.style.cursor = card !== null ? 'pointer' : '';
+        card_tooltip.hidden = card === null || card === orbit.focused;
+
+        if (card !== null && card !== orbit.focused) {
+            card.setHovered(true);
+            card_tooltip.textContent = localize(cards_data.find(obj => obj.id === card.id).title);
+        }
+    }
+
+    function onSplashClick() {
+        view.go('exploration');
+    }
+
+    /**
+     * Smoothly moves the camera while turning it towards a new target.
+     * 
+     * @param {Object} new_pos - Final position of camera, {x, y, z}.
+     * @param {Object} new_target - Final point the camera looks at, {x, y, z}.
+     */
+    function panCamera(new_pos, new_target) {
+        camera_tweens.forEach(tween => tween.stop());
+        clearTimeout(camera_timer);
+        if (renderer === null) {
+            return; // Nothing to show the camera movement on
+        }
+
+        if (motion.reduced) {
+            // Cut to the new view behind a quick fade instead of panning
+            canvas.style.opacity = 0;
+            camera_timer = setTimeout(() => {
+                camera_timer = null;
+                Object.assign(camera_target, new_target);
+                view_camera.position.set(new_pos.x, new_pos.y, new_pos.z);
+                placeCamera();
+                canvas.style.opacity = 1;
+                orbit.relayout(); // The focused card fits the view it was brought into
+            }, 150);
+            return;
+        }
+
+        const time = config.camera.pan_time;
+        // Smooth target transition
+        const target_tween = new TWEEN.Tween(camera_target, tween_group).to(new_target, (time-30))
+            .easing(TWEEN.Easing.Cubic.Out)
+            .start(clock.now());
+        // Smooth camera movement
+        const camera_tween = new TWEEN.Tween(view_camera.position, tween_group).to(new_pos, time)
+            .easing(TWEEN.Easing.Quadratic.InOut)
+            .onUpdate(() => {
+                placeCamera();
+            })
+            .onComplete(() => {
+                placeCamera();
+                orbit.relayout(); // The focused card fits the view it was brought into
+            }).start(clock.now());
+
+        camera_tweens = [target_tween, camera_tween];
+    }
+
+    /**
+     * Applies the motion policy to the scene and the menu.
+     */
+    function applyMotionPolicy() {
+        orbit.setReducedMotion(motion.reduced);
+        if (drag_helper !== null) {
+            drag_helper.auto_speed = motion.reduced ? 0 : 0.1; // Still spins when dragged
+        }
+        swiper.params.speed = motion.reduced ? 0 : 300; // 300 is the Swiper.js default
+    }
+
+    // Used when a card is picked directly instead of through the menu, picking the focused card opens its details
+    function selectCard(id) {
+        if (view.state === 'splash') {
+            return; // The click leaves the splash screen, see onSplashClick()
+        }
+
+        view.go(view.card === id ? 'detail' : 'focus', id, { source: 'click' });
+    }
+
+    /**
+     * Records an interaction, unless it is the guided tour playing.
+     * 
+     * @param {string} name - Name of the event, see analytics.js.
+     * @param {Object} props - Properties of the event.
+     */
+    function track(name, props = {}) {
+        if (!tour.running) {
+            analytics?.track(name, props);
+        }
+    }
+
+    /**
+     * Starts timing how long a card is looked at, ended by endDwell().
+     * 
+     * @param {number} id - Id of the focused card.
+     */
+    function startDwell(id) {
+        endDwell();
+        if (tour.running) {
+            return;
+        }
+
+        dwell = { slug: cards_data.find(obj => obj.id === id).slug, start: performance.now() };
+    }
+
+    // Records the time the focused card was looked at, if any
+    function endDwell() {
+        if (dwell === null) {
+            return;
+        }
+
+        track('dwell', { card: dwell.slug, ms: Math.round(performance.now() - dwell.start) });
+        dwell = null;
+    }
+
+    /**
+     * Makes the slide of a card the active one, without the menu triggering a focus change of its own.
+     * 
+     * @param {number} id - Id of the card.
+     */
+    function syncMenu(id) {
+        const slide = swiper.slides.find(slide => Number(slide.dataset.id) === id);
+        if (slide === undefined) {
+            return; // Not in the menu (yet), e.g. while the menu is rebuilt
+        }
+
+        const index = Number(slide.dataset.swiperSlideIndex);
+        if (swiper.realIndex !== index) {
+            swiper.slideToLoop(index, 0, false);
+        }
+    }
+
+    /**
+     * Brings a card into focus and shows the controls of the focus view.
+     * 
+     * @param {Object} step - Step of the view state machine, see view_state.js.
+     * @returns Promise resolving to 'true' once the card has settled, see Orbit.setFocus().
+     */
+    function focusCard(step) {
+        setHovered(null); // Glow is not meant for the focused card
+        const settled = orbit.setFocus(step.card);
+        exit_cross.style.visibility = 'visible';
+
+        // Vertical swipes are needed for returning the card to orbit, see handleSwipeDown()
+        canvas.style.touchAction = 'none';
+
+        const data = cards_data.find(obj => obj.id === step.card);
+        track('card_focus', { source: step.options.source, card: data.slug });
+        announce(t('a11y.focused', { title: localize(data.title) }));
+        return settled;
+    }
+
+    /**
+     * The steps between views, the only place the splash, menu, info block, exit cross and the focus of the orbit change.
+     * See ViewStateMachine in view_state.js, the view is changed through view.go().
+     * 
+     * @returns Object with an action per step, named '<from>><to>'.
+     */
+    function viewActions() {
+        const splash = container.querySelector('#splash');
+
+        return {
+            // Removes the splash screen and pans the camera to the orbit
+            'splash>exploration': step => {
+                threejs_sec.removeEventListener('click', onSplashClick); // In case the splash was skipped
+                if (step.options.source !== 'link') {
+                    track('splash_exit');
+                }
+
+                threejs_sec.style.cursor = 'auto';
+                splash.style.opacity = 0;
+                nav_menu.style.opacity = 1;
+                nav_menu.inert = false;
+                swiper.enable();
+                panCamera(config.camera.exploration.position, config.camera.exploration.target);
+            },
+
+            // Brings back the splash screen
+            'exploration>splash': () => {
+                threejs_sec.style.cursor = '';
+                splash.style.opacity = 1;
+                nav_menu.style.opacity = 0;
+                nav_menu.inert = true;
+                swiper.disable();
+                panCamera(config.camera.splash.position, config.camera.splash.target);
+                threejs_sec.addEventListener('click', onSplashClick, { once: true, signal });
+            },
+
+            'exploration>focus': focusCard,
+
+            // Switching between cards, the card in focus returns to orbit
+            'focus>focus': focusCard,
+
+            // Opens the info block of the focused card
+            'focus>detail': step => {
+                const data = cards_data.find(obj => obj.id === step.card);
+                fillInfoBlock(data);
+
+                info_block.style.opacity = 1;
+                info_block.inert = false;
+                nav_menu.style.opacity = 0;
+                nav_menu.inert = true;
+                orbit.setHighlightVisible(false);
+                swiper.disable();
+                updateMediaToggle();
+
+                // Move keyboard focus into the info block, returned when it closes
+                detail_opener = document.activeElement;
+                container.querySelector('.info_block h1').focus();
+                track('detail_open', { card: data.slug });
+            },
+
+            // Closes the info block, the card stays in focus
+            'detail>focus': () => {
+                info_block.style.opacity = 0;
+                info_block.inert = true;
+                nav_menu.style.opacity = 1;
+                nav_menu.inert = false;
+                orbit.setHighlightVisible(true);
+                swiper.enable();
+                updateMediaToggle();
+
+                // Give keyboard focus back to where it came from
+                if (detail_opener?.isConnected && detail_opener !== document.body) {
+                    detail_opener.focus();
+                }
+
+                else {
+                    activeMenuButton()?.focus();
+                }
+
+                detail_opener = null;
+            },
+
+            // Returns the focused card to orbit
+            'focus>exploration': () => {
+                orbit.setFocus(null);
+                if (exit_cross.contains(document.activeElement)) {
+                    activeMenuButton()?.focus(); // Exit cross is about to be hidden
+                }
+
+                exit_cross.style.visibility = 'hidden';
+                canvas.style.touchAction = '';
+            },
+        };
+    }
+
+    /**
+     * Records a new view in the browser history, called by the view state machine once a view is reached.
+     * 
+     * @param {string} from - View the change started from.
+     * @param {string} to - View reached.
+     * @param {Object} options - Options of the change, {source}.
+     */
+    function onViewChange(from, to, options) {
+        if (options.source === 'link') {
+            return; // The view follows the URL already
+        }
+
+        // Switching between cards replaces the history entry, back always leads to exploration mode
+        const slug = view.card !== null ? cards_data.find(obj => obj.id === view.card).slug : undefined;
+        updateHistory({ mode: to, slug }, from === 'focus' && to === 'focus');
+    }
+    
+    // Loads the title, content and widget of a card into the info block
+    function fillInfoBlock(data) {
+        container.querySelector('.info_block h1').innerHTML = localize(data.title);
+        container.querySelector('.info_block_content').innerHTML = localize(data.content);
+
+        const widget = container.querySelector('.info_block_widget');
+        widget.hidden = data.widget !== 'pricing' || config.pricing === null;
+        if (widget.hidden) {
+            return;
+        }
+
+        // Above the price tiers a quote is asked for through the demo form
+        price_calculator ??= new PriceCalculator(widget, config.pricing, employees => {
+            const data = cards_data.find(obj => obj.id === view.card);
+            track('demo_click', { source: 'pricing', card: data.slug });
+            config.onDemoRequest?.(data, { employees });
+        });
+        price_calculator.refresh();
+    }
+    
+    /**
+     * Keyboard control of the scene. Enter leaves the splash screen and opens the details of the
+     * focused card, the arrow keys move focus between cards and Escape steps back out.
+     * 
+     * @param {KeyboardEvent} event - The keydown event.
+     */
+    function handleKeydown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+
+        // Keys belong to a dialog on top of the page, e.g. the demo form, or the inspector
+        if (event.target.closest?.('dialog[open], .lil-gui')) {
+            return;
+        }
+
+        // Scrolled down to the 2D sections, keys are for the page then
+        if (threejs_sec.getBoundingClientRect().bottom < window.innerHeight / 2) {
+            return;
+        }
+
+        // Keep keyboard focus inside the info block while it is open
+        if (event.key === 'Tab' && view.state === 'detail') {
+            trapFocus(event);
+            return;
+        }
+
+        // Let buttons, links and form fields handle their own keys
+        const on_control = event.target.closest?.('button, a, input, select, textarea') && !nav_menu.contains(event.target);
+
+        switch (event.key) {
+            case 'Enter':
+                if (on_control) {
+                    return;
+                }
+
+                if (view.state === 'splash') {
+                    view.go('exploration');
+                    activeMenuButton()?.focus();
+                }
+
+                else if (view.state === 'exploration' || view.state === 'focus') {
+                    // The card of the menu button the key was pressed on, the active card otherwise
+                    const in_menu = nav_menu.contains(event.target);
+                    const slide = in_menu ? event.target.closest('.swiper-slide') : swiper.slides[swiper.activeIndex];
+                    if (!slide) {
+                        return; // Empty menu, no card to focus
+                    }
+
+                    const id = Number(slide.dataset.id);
+                    if (view.state === 'focus' && id === view.card) {
+                        view.go('detail', id, { source: 'keyboard' });
+                    }
+
+                    else {
+                        view.go('focus', id, { source: 'keyboard' });
+                    }
+
+                    if (in_menu) {
+                        return; // The button still gets its click
+                    }
+                }
+
+                break;
+
+            case 'ArrowDown':
+            case 'ArrowRight':
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                if (view.state !== 'exploration' && view.state !== 'focus') {
+                    return;
+                }
+
+                // Only meant for the scene, not for controls elsewhere on the page, e.g. the toolbar
+                if (event.target !== canvas && event.target !== document.body && !nav_menu.contains(event.target)) {
+                    return;
+                }
+
+                // Focus follows the active slide, see setupMenu()
+                menu_source = 'keyboard';
+                if (event.key === 'ArrowDown' || event.key === 'ArrowRight') {
+                    swiper.slideNext();
+                }
+
+                else {
+                    swiper.slidePrev();
+                }
+
+                break;
+
+            case 'Escape':
+                if (view.state === 'detail') {
+                    view.go('focus', view.card);
+                }
+
+                else if (view.state === 'focus') {
+                    view.go('exploration');
+                }
+
+                else {
+                    return;
+                }
+
+                break;
+
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * Wraps Tab/Shift+Tab around the controls of the open info block (and the exit cross).
+     * 
+     * @param {KeyboardEvent} event - The keydown event of the Tab key.
+     */
+    function trapFocus(event) {
+        const focusables = [
+            ...info_block.querySelectorAll('button, a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])'),
+            exit_cross
+        ].filter(element => element.closest('[hidden]') === null);
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        const inside = focusables.includes(document.activeElement) || info_block.contains(document.activeElement);
+
+        if (!inside || (event.shiftKey && document.activeElement === first)) {
+            event.preventDefault();
+            (event.shiftKey ? last : first).focus();
+        }
+
+        else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * @returns The button of the active menu slide, if any.
+     */
+    function activeMenuButton() {
+        return swiper.slides[swiper.activeIndex]?.querySelector('button');
+    }
+
+    /**
+     * Reads a message out to screen reader users.
+     * 
+     * @param {string} message - Message to announce.
+     */
+    function announce(message) {
+        announcer.textContent = message;
+    }
+
+    /**
+     * Lists the title and content of every card as a text alternative for the canvas.
+     */
+    function describeScene() {
+        const items = orbit.getOrder().map(id => {
+            const data = cards_data.find(obj => obj.id === id);
+            return `<li><h3>${localize(data.title)}</h3>${localize(data.content)}</li>`;
+        });
+
+        container.querySelector('#canvas_description').innerHTML =
+            `<h2>${t('a11y.cards')}</h2><ul>${items.join('')}</ul>`;
+    }
+
+    /**
+     * Adds a browser history entry for a view.
+     * 
+     * @param {Object} route - Route object {mode, slug} of the new view.
+     * @param {boolean} replace - Set to 'true' to replace the current entry instead.
+     */
+    function updateHistory(route, replace = false) {
+        const url = formatRoute(route);
+        if (!config.routing || url === formatRoute(parseRoute(location.hash))) {
+            return;
+        }
+
+        // The tour would fill the history with every step, it only keeps the view it is on
+        if (replace || tour.running) {
+            history.replaceState(null, '', url);
+        }
+
+        else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Changes the view to the one of a route, without adding a history entry.
+     * 
+     * @param {Object} route - Route object {mode, slug}, from parseRoute().
+     */
+    function applyRoute(route) {
+        const data = cards_data.find(obj => obj.slug === route.slug);
+        if (route.slug !== undefined && data === undefined) {
+            // Unknown card, settle for exploration mode
+            console.warn(`No card found for '${route.slug}'.`);
+            route = { mode: 'exploration' };
+            history.replaceState(null, '', formatRoute(route));
+        }
+
+        view.go(route.mode, data?.id ?? null, { source: 'link' });
+    }
+
+    /**
+     * Runs the render loop while the canvas can be seen, suspends it otherwise.
+     */
+    function updateRendering() {
+        if (renderer === null || manual) {
+            return;
+        }
+
+        const visible = in_view && !document.hidden && !disposed;
+        if (visible && frame === null) {
+            last_time = clock.now() * 0.001; // The pause is no time passed for the orbit
+            quality.reset();
+            frame = requestAnimationFrame(render);
+        }
+
+        else if (!visible && frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+    }
+
+    /**
+     * Applies a rendering quality level, see quality.js.
+     * 
+     * @param {Object} level - Entry of QUALITY_LEVELS.
+     */
+    function applyQuality(level) {
+        renderer.setPixelRatio(Math.min(level.pixel_ratio, window.devicePixelRatio || 1));
+        light.castShadow = level.shadows; // Without a light casting shadows the shadow pass is skipped
+
+        if (sphere.geometry.parameters.widthSegments !== level.sphere_segments) {
+            sphere.geometry.dispose();
+            sphere.geometry = new THREE.SphereGeometry(sphere_radius, level.sphere_segments, level.sphere_segments);
+        }
+    }
+
+    /**
+     * Places the camera where the view puts it, pulled back along its line of sight by the scroll state.
+     * The orbit lays out the focused card for the view camera, so the card recedes with the rest of the scene.
+     */
+    function placeCamera() {
+        view_camera.lookAt(camera_target.x, camera_target.y, camera_target.z);
+        camera.position.set(camera_target.x, camera_target.y, camera_target.z)
+            .lerp(view_camera.position, Math.max(scroll_state.pull, 0.1)); // Past the view position when pulling back
+        camera.quaternion.copy(view_camera.quaternion);
+    }
+
+    /**
+     * Sets the camera and the sphere to the state of the scroll position, see scroll_scene.js.
+     * The scene stays as the view puts it when motion is reduced.
+     */
+    function applyScrollState() {
+        const state = scroll_scene === null || motion.reduced ? SCENE_STATE : scroll_scene.stateAt(window.scrollY);
+        if (state.pull === scroll_state.pull && state.sphere === scroll_state.sphere) {
+            return;
+        }
+
+        scroll_state = state;
+
+        placeCamera();
+
+        sphere.scale.setScalar(Math.max(state.sphere, 0.001)); // A scale of zero can't be inverted for picking
+        sphere.visible = state.sphere > 0;
+    }
+
+    /**
+     * Recursively renders the scene,
+     * updates camera aspect with screen changes.
+     */
+    function render() {
+        if (!manual) {
+            frame = requestAnimationFrame(render);
+        }
+
+        const now = clock.now();
+        tween_group.update(now);
+        
+        const time = now * 0.001; // Time of the clock in seconds, cumulative
+        const delta = time - last_time;
+        last_time = time;
+        quality.sample(delta * 1000);
+        
+        // Camera only needs to be updated if canvas size is changed
+        if (resizeRendererToDisplaySize(renderer)) {   
+            const canvas = renderer.domElement;
+            camera.aspect = canvas.clientWidth / canvas.clientHeight;
+            camera.updateProjectionMatrix();
+            view_camera.aspect = camera.aspect;
+            view_camera.updateProjectionMatrix();
+            orbit.relayout(); // Fit the focused card to the new size, or the other layout
+        }
+
+        orbit.update(drag_helper.update(delta));
+        applyScrollState();
+        // controls.update();
+        
+        inspector?.update();
+        renderer.render(scene, camera);
+
+        if (debug_counter !== null) {
+            updateDebugCounter(time);
+        }
+    }
+
+    /**
+     * Shows the frame rate, how many geometries and textures the GPU holds and how many animations run,
+     * numbers that keep on growing during a session point to a leak.
+     * 
+     * @param {number} time - Time since render start in seconds.
+     */
+    function updateDebugCounter(time) {
+        debug_frames++;
+        if (time - debug_updated_at < 0.5) {
+            return; // Twice a second is plenty
+        }
+
+        const memory = renderer.info.memory;
+        const fps = Number.isFinite(debug_updated_at) ? Math.round(debug_frames / (time - debug_updated_at)) : '–';
+        debug_updated_at = time;
+        debug_frames = 0;
+        debug_counter.textContent = 
+            `fps: ${fps}, geometries: ${memory.geometries}, textures: ${memory.textures}, tweens: ${tween_group.getAll().length}, quality: ${quality.level.name}`;
+    }
+}
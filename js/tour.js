@@ -0,0 +1,158 @@
+// Input that means somebody is at the controls
+const INPUT_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Class playing the showcase by itself, e.g. on a screen at a trade fair with nobody at the controls.
+ * Brings one card after the other into focus, opens its details for a while and moves on, looping forever.
+ *
+ * The tour only drives the showcase through the controls it is given, so the menu, the URL and
+ * everything else follows along as if a visitor did the same. Any input stops the tour, and once
+ * watchIdle() is called it starts again after a while without input.
+ */
+export class GuidedTour {
+    /**
+     * @param {Object} controls - Functions driving the showcase:
+     * order() returns the card ids in menu order, current() the id of the focused card or 'null',
+     * focus(id) returns a Promise resolving once the card has settled, openDetails() and closeDetails()
+     * open and close its details and leaveSplash() leaves the splash screen if it is shown.
+     * Optionally canStart() returns 'false' when the tour should not start after being idle, e.g. while the visitor reads further down the page.
+     * @param {Object} options - Optional timing, {focus_time, reading_time, idle_timeout}, all in milliseconds.
+     * The card is looked at for 'focus_time' before its details are read for 'reading_time'.
+     * The tour starts after 'idle_timeout' without input, 'null' to only start it with start().
+     */
+    constructor(controls, options = {}) {
+        this.controls     = controls;
+        this.focus_time   = options.focus_time ?? 3000;
+        this.reading_time = options.reading_time ?? 10000;
+        this.idle_timeout = options.idle_timeout ?? null;
+        this.run          = null; // Token of the loop playing, 'null' while stopped
+        this.waiting      = null; // Pause of the loop in progress, {timer, resolve}
+        this.idle_timer   = null;
+        this.listeners    = new AbortController();
+    }
+
+    /**
+     * @returns 'true' while the tour plays.
+     */
+    get running() {
+        return this.run !== null;
+    }
+
+    /**
+     * Starts the tour from the card after the focused one, does nothing if it already plays.
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        const run = {};
+        this.run = run;
+        this._play(run);
+    }
+
+    /**
+     * Stops the tour, the showcase stays as it is.
+     */
+    stop() {
+        this.run = null;
+        if (this.waiting !== null) {
+            clearTimeout(this.waiting.timer);
+            this.waiting.resolve(false);
+            this.waiting = null;
+        }
+    }
+
+    /**
+     * Stops the tour on input and starts it again once there has been no input for 'idle_timeout'.
+     *
+     * @param {EventTarget} target - Where input is listened for.
+     */
+    watchIdle(target = window) {
+        INPUT_EVENTS.forEach(type => {
+            target.addEventListener(type, event => this._onInput(event), { capture: true, passive: true, signal: this.listeners.signal });
+        });
+
+        this._armIdleTimer();
+    }
+
+    /**
+     * Stops the tour and stops listening for input.
+     */
+    dispose() {
+        this.stop();
+        clearTimeout(this.idle_timer);
+        this.listeners.abort();
+    }
+
+    async _play(run) {
+        this.controls.leaveSplash();
+
+        while (this.run === run) {
+            const order = this.controls.order();
+            if (!order.length) {
+                await this._wait(this.focus_time, run); // Nothing to show, check again later
+                continue;
+            }
+
+            // The card after the focused one, the first if none is focused
+            const next = order[(order.indexOf(this.controls.current()) + 1) % order.length];
+            await this.controls.focus(next);
+            if (!(await this._wait(this.focus_time, run))) {
+                return;
+            }
+
+            this.controls.openDetails();
+            if (!(await this._wait(this.reading_time, run))) {
+                return;
+            }
+
+            this.controls.closeDetails();
+        }
+    }
+
+    /**
+     * Pauses the loop.
+     *
+     * @param {number} time - Time in milliseconds.
+     * @param {Object} run - Token of the loop waiting.
+     * @returns Promise resolving to 'true' once the time is up, or 'false' if the tour was stopped meanwhile.
+     */
+    _wait(time, run) {
+        if (this.run !== run) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                resolve(this.run === run);
+            }, time);
+            this.waiting = { timer, resolve };
+        });
+    }
+
+    _onInput(event) {
+        if (!event.isTrusted) {
+            return; // Made by code, nobody is there
+        }
+
+        this.stop();
+        this._armIdleTimer();
+    }
+
+    _armIdleTimer() {
+        clearTimeout(this.idle_timer);
+        if (this.idle_timeout !== null) {
+            this.idle_timer = setTimeout(() => {
+                if (this.controls.canStart?.() ?? true) {
+                    this.start();
+                }
+
+                else {
+                    this._armIdleTimer();
+                }
+            }, this.idle_timeout);
+        }
+    }
+}
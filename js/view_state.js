@@ -0,0 +1,160 @@
+/**
+ * Views of the showcase and the views that can be reached from each in a single step.
+ * Focus to focus is switching between cards.
+ */
+export const TRANSITIONS = {
+    splash:      ['exploration'],
+    exploration: ['splash', 'focus'],
+    focus:       ['exploration', 'focus', 'detail'],
+    detail:      ['focus'],
+};
+
+// How deep a view lies, backing out of a view is going to a lower depth
+const DEPTH = { splash: 0, exploration: 1, focus: 2, detail: 3 };
+
+/**
+ * Class keeping track of the view of the showcase and the only way to change it.
+ *
+ * A requested view is reached through the allowed steps, e.g. splash -> exploration -> focus -> detail.
+ * Every step is carried out by an action, named after the step ('splash>exploration', 'focus>focus', ...),
+ * which updates the page and the scene. An action may return a Promise, e.g. while a card moves into focus,
+ * and the next step waits for it. Requests arriving meanwhile are queued, only the latest is kept,
+ * except for requests backing out of the view being animated, which are carried out right away.
+ */
+export class ViewStateMachine {
+    /**
+     * @param {Object} actions - Function per step, called with the step {from, to, card, options}.
+     * @param {Function} onChange - Called with the view a request started from, the view reached and
+     * the options of the request, once a request has changed the view.
+     * @param {string} state - View to start in.
+     */
+    constructor(actions, onChange, state = 'splash') {
+        this.actions  = actions;
+        this.onChange = onChange;
+        this.state    = state;
+        this.card     = null; // Id of the card in focus or detail view, 'null' otherwise
+        this.request  = null; // Request being carried out, {state, card, options, from, changed, resolve}
+        this.step     = null; // Step waiting for its action to finish
+        this.run      = null; // Token of the loop carrying out requests
+    }
+
+    /**
+     * @returns View and card the current request leads to, {state, card}, or 'null' if the view is settled.
+     */
+    get target() {
+        return this.request !== null ? { state: this.request.state, card: this.request.card } : null;
+    }
+
+    /**
+     * Requests a view, replacing any request not yet carried out.
+     *
+     * @param {string} state - One of 'splash', 'exploration', 'focus' or 'detail'.
+     * @param {number} card - Id of the card, needed for 'focus' and 'detail'.
+     * @param {Object} options - Passed on to the actions and onChange(), e.g. {source} of the request.
+     * @returns Promise resolving to 'true' once the view is reached, or 'false' if another request replaced it.
+     */
+    go(state, card = null, options = {}) {
+        if (TRANSITIONS[state] === undefined) {
+            throw new Error(`Unknown view '${state}'.`);
+        }
+
+        if ((state === 'focus' || state === 'detail') !== (card !== null)) {
+            throw new Error(`View '${state}' ${card === null ? 'needs' : 'takes no'} card.`);
+        }
+
+        this.request?.resolve(false);
+        const request = { state, card, options, from: this.state, changed: false };
+        const promise = new Promise(resolve => {
+            request.resolve = resolve;
+        });
+        this.request = request;
+
+        // Backing out of a card moving into focus, no need to wait for it to arrive
+        if (this.step === null || DEPTH[state] < DEPTH[this.step.to]) {
+            this._run();
+        }
+
+        return promise;
+    }
+
+    /**
+     * Carries out requests one step at a time, until there are none left.
+     * Runs synchronously up to the first action returning a Promise.
+     */
+    async _run() {
+        const run = {};
+        this.run = run;
+        this.step = null;
+
+        while (this.request !== null) {
+            const request = this.request;
+            const step = this._nextStep(request);
+            if (step === null) {
+                this.request = null;
+                if (request.changed) {
+                    this.onChange(request.from, this.state, request.options);
+                }
+
+                request.resolve(true);
+                continue;
+            }
+
+            if (!TRANSITIONS[step.from].includes(step.to)) {
+                throw new Error(`View can't go from '${step.from}' to '${step.to}'.`); // Planning error, see _nextStep()
+            }
+
+            this.state = step.to;
+            this.card = step.card;
+            request.changed = true;
+
+            const done = this.actions[`${step.from}>${step.to}`](step);
+            if (done instanceof Promise) {
+                this.step = step;
+                await done;
+                if (this.run !== run) {
+                    return; // Backed out of meanwhile, a new loop has taken over
+                }
+
+                this.step = null;
+            }
+        }
+    }
+
+    /**
+     * Plans the next step towards a request, backing out of views deeper than the target first.
+     *
+     * @param {Object} request - The request.
+     * @returns The step {from, to, card, options}, or 'null' if the view is reached.
+     */
+    _nextStep(request) {
+        const { state, card } = request;
+        const same_card = this.card === card;
+        const step = (to, to_card) => ({ from: this.state, to, card: to_card, options: request.options });
+
+        switch (this.state) {
+            case 'splash':
+                return state !== 'splash' ? step('exploration', null) : null;
+
+            case 'exploration':
+                if (state === 'splash') {
+                    return step('splash', null);
+                }
+
+                return state === 'focus' || state === 'detail' ? step('focus', card) : null;
+
+            case 'focus':
+                if (state === 'splash' || state === 'exploration') {
+                    return step('exploration', null);
+                }
+
+                if (!same_card) {
+                    return step('focus', card);
+                }
+
+                return state === 'detail' ? step('detail', card) : null;
+
+            case 'detail':
+                return state !== 'detail' || !same_card ? step('focus', this.card) : null;
+        }
+    }
+}
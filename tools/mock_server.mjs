@@ -0,0 +1,165 @@
+/**
+ * Development server: serves the site and stands in for the endpoints it posts to.
+ *
+ * - POST /api/demo       Demo requests, see js/demo_form.js. Answers 201, or 400 with {errors} for invalid requests.
+ *                        Requests with an email ending in '@fail.test' get a 500, to try the error state.
+ * - POST /api/analytics  Analytics batches, see js/analytics.js. Answers 204.
+ *
+ * Received requests are logged to the console, nothing is stored.
+ *
+ * Usage: node tools/mock_server.mjs [port], the port defaults to 3000.
+ */
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 3000);
+const MAX_BODY = 64 * 1024; // Bytes, larger requests are refused
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js':   'text/javascript; charset=utf-8',
+    '.mjs':  'text/javascript; charset=utf-8',
+    '.css':  'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg':  'image/svg+xml',
+    '.png':  'image/png',
+    '.jpg':  'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.mp4':  'video/mp4',
+    '.webm': 'video/webm',
+    '.glb':  'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    try {
+        if (request.method === 'POST' && url.pathname === '/api/demo') {
+            await handleDemo(request, response);
+        }
+
+        else if (request.method === 'POST' && url.pathname === '/api/analytics') {
+            const body = await readJson(request);
+            console.log(`Analytics: ${body.events?.length ?? 0} events`, body.events);
+            send(response, 204);
+        }
+
+        else if (request.method === 'GET' || request.method === 'HEAD') {
+            await serveFile(url.pathname, request, response);
+        }
+
+        else {
+            send(response, 405, { error: 'Method not allowed' });
+        }
+    }
+
+    catch (error) {
+        send(response, error.status ?? 500, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock server running on http://localhost:${PORT}`);
+});
+
+/**
+ * Checks a demo request the same way the form does.
+ *
+ * @param {IncomingMessage} request - The request.
+ * @param {ServerResponse} response - The response.
+ */
+async function handleDemo(request, response) {
+    const body = await readJson(request);
+    const errors = {};
+    ['name', 'company', 'email'].filter(field => typeof body[field] !== 'string' || body[field].trim() === '').forEach(field => {
+        errors[field] = 'required';
+    });
+
+    if (errors.email === undefined && !EMAIL_PATTERN.test(body.email)) {
+        errors.email = 'invalid';
+    }
+
+    if (!Number.isInteger(body.employees) || body.employees < 1) {
+        errors.employees = 'invalid';
+    }
+
+    if (Object.keys(errors).length) {
+        console.log('Demo request refused:', errors);
+        send(response, 400, { errors });
+        return;
+    }
+
+    if (body.email.endsWith('@fail.test')) {
+        send(response, 500, { error: 'Simulated failure' });
+        return;
+    }
+
+    console.log('Demo request:', body);
+    send(response, 201, { ok: true });
+}
+
+/**
+ * Serves a file of the site, '/' serves index.html.
+ *
+ * @param {string} pathname - Path of the request.
+ * @param {IncomingMessage} request - The request.
+ * @param {ServerResponse} response - The response.
+ */
+async function serveFile(pathname, request, response) {
+    const path = normalize(join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+    if (!path.startsWith(ROOT + sep)) {
+        send(response, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    let content;
+    try {
+        content = await readFile(path);
+    }
+
+    catch (error) {
+        send(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': TYPES[extname(path)] ?? 'application/octet-stream' });
+    response.end(request.method === 'HEAD' ? undefined : content);
+}
+
+/**
+ * @param {IncomingMessage} request - Request with a JSON body.
+ * @returns Promise resolving to the parsed body.
+ */
+async function readJson(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            throw Object.assign(new Error('Request too large'), { status: 413 });
+        }
+    }
+
+    try {
+        return JSON.parse(body);
+    }
+
+    catch (error) {
+        throw Object.assign(new Error('Malformed JSON'), { status: 400 });
+    }
+}
+
+/**
+ * @param {ServerResponse} response - The response.
+ * @param {number} status - HTTP status.
+ * @param {Object} body - Sent as JSON, nothing is sent if left out.
+ */
+function send(response, status, body = undefined) {
+    response.writeHead(status, body !== undefined ? { 'Content-Type': 'application/json; charset=utf-8' } : {});
+    response.end(body !== undefined ? JSON.stringify(body) : undefined);
+}